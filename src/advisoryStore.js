@@ -0,0 +1,110 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { dirname, join } from 'node:path';
+
+// Number of update runs kept in the store's history
+const MAX_UPDATES = 100;
+
+export const defaultAdvisoryDbPath = () =>
+  join(process.env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'jfrog-scan', 'advisories.json');
+
+// Local JSON store of compromised name@version specs, with provenance: which sources
+// listed each spec and when it was first/last seen. Lets scans run offline and keeps
+// working when a feed is down or changes format (its previous entries are kept).
+//
+// {
+//   version: 1,
+//   packages: { "name@version": { firstSeen, lastSeen, sources: { <source>: { firstSeen, lastSeen } } } },
+//   updates: [{ startedAt, finishedAt, sources: [{ source, ok, count, added, error }], added: [spec] }]
+// }
+export class AdvisoryStore {
+  path;
+  data;
+
+  constructor({ path = defaultAdvisoryDbPath() } = {}) {
+    this.path = path;
+    this.data = { version: 1, packages: {}, updates: [] };
+  }
+
+  async load() {
+    try {
+      this.data = JSON.parse(await readFile(this.path, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw new Error(`Failed to read advisory database ${this.path}: ${err.message}`);
+    }
+    return this;
+  }
+
+  // Write to a temp file and rename, so an interrupted update never corrupts the store
+  async save() {
+    await mkdir(dirname(this.path), { recursive: true });
+    const tmp = `${this.path}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(this.data, null, 2));
+    await rename(tmp, this.path);
+  }
+
+  get isEmpty() {
+    return Object.keys(this.data.packages).length === 0;
+  }
+
+  specs() {
+    return Object.keys(this.data.packages);
+  }
+
+  get lastUpdate() {
+    return this.data.updates[this.data.updates.length - 1];
+  }
+
+  // Refresh from feeds. `fetchSource(source)` returns a list of name@version specs;
+  // a failing source is recorded in the update log and its previous entries are kept.
+  async update(sources, fetchSource, { onSource } = {}) {
+    const startedAt = new Date().toISOString();
+    const update = { startedAt, finishedAt: undefined, sources: [], added: [] };
+    const addedSpecs = new Set();
+
+    for (const source of sources) {
+      try {
+        const specs = await fetchSource(source);
+        const added = this.#record(source, specs, startedAt);
+        added.forEach((spec) => addedSpecs.add(spec));
+        update.sources.push({ source, ok: true, count: specs.length, added: added.length });
+      } catch (err) {
+        update.sources.push({ source, ok: false, error: err.message });
+      }
+      if (onSource) onSource(update.sources[update.sources.length - 1]);
+    }
+
+    update.added = Array.from(addedSpecs);
+    update.finishedAt = new Date().toISOString();
+    this.data.updates = [...this.data.updates, update].slice(-MAX_UPDATES);
+    return update;
+  }
+
+  // Record that `source` lists `specs` at time `at`; returns specs new to the store
+  #record(source, specs, at) {
+    const added = [];
+    for (const spec of new Set(specs)) {
+      let entry = this.data.packages[spec];
+      if (!entry) {
+        entry = this.data.packages[spec] = { firstSeen: at, lastSeen: at, sources: {} };
+        added.push(spec);
+      }
+      entry.lastSeen = at;
+      entry.sources[source] ??= { firstSeen: at, lastSeen: at };
+      entry.sources[source].lastSeen = at;
+    }
+    return added;
+  }
+
+  // Packages first seen on/after `since` (a Date), or added by the most recent update
+  diff({ since } = {}) {
+    const specs = since
+      ? this.specs().filter((spec) => new Date(this.data.packages[spec].firstSeen) >= since)
+      : this.lastUpdate?.added ?? [];
+    return specs.map((spec) => ({
+      spec,
+      firstSeen: this.data.packages[spec].firstSeen,
+      sources: Object.keys(this.data.packages[spec].sources),
+    }));
+  }
+}
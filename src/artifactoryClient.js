@@ -1,11 +1,39 @@
+import { matchCompromisedVersion } from './compromised.js';
+import { createLimiter, sleep } from './concurrency.js';
+import { MAX_BACKOFF_MS, RETRY_STATUSES, parseRetryAfter } from './restClient.js';
+
+// Encode each segment to safely handle '@' in scopes, spaces, etc.
+const encodePath = (path) => path.split('/').map((seg) => encodeURIComponent(seg)).join('/');
+
+// Property values separate multiple values with ',' and escape the other delimiters
+const escapePropertyValue = (value) => String(value).replace(/[\\,|=;]/g, '\\$&');
+
+// Path to an npm tarball in the Artifactory remote/virtual repo cache layout
+// Unscoped: <name>/-/<name>-<version>.tgz
+// Scoped: @<scope>/<name>/-/<name>-<version>.tgz
+export const tarballPath = (pkgName, version) => {
+  if (pkgName.startsWith('@')) {
+    const [scope, name] = pkgName.split('/');
+    return `${scope}/${name}/-/${name}-${version}.tgz`;
+  }
+  return `${pkgName}/-/${pkgName}-${version}.tgz`;
+};
+
 export class ArtifactoryClient {
   baseUrl;
   repository;
   headers;
+  maxRetries;
+  onRetry;
+  #limit;
 
   constructor(config) {
     this.baseUrl = config.baseUrl.replace(/\/$/, '');
     this.repository = config.repository;
+    this.maxRetries = config.maxRetries ?? 5;
+    this.onRetry = config.onRetry;
+    // All requests made through this client share one concurrency limit
+    this.#limit = createLimiter(config.concurrency ?? 8);
     this.headers = {
       Accept: 'application/json',
       ...(
@@ -18,43 +46,36 @@ export class ArtifactoryClient {
     };
   }
 
-  // Compute path to npm tarball in Artifactory remote/virtual repo cache layout
-  // Unscoped: <name>/-/<name>-<version>.tgz
-  // Scoped: @<scope>/<name>/-/<name>-<version>.tgz
   tarballPath(pkgName, version) {
-    if (pkgName.startsWith('@')) {
-      const [scope, name] = pkgName.split('/');
-      return `${scope}/${name}/-/${name}-${version}.tgz`;
-    }
-    return `${pkgName}/-/${pkgName}-${version}.tgz`;
+    return tarballPath(pkgName, version);
   }
 
-  async checkCache(spec) {
+  // Check one name@version in a repository (defaults to the client's repository).
+  // For virtual repositories, resolvedRepo names the member (e.g. a remote's "-cache")
+  // that actually holds the tarball.
+  async checkCache(spec, repository = this.repository) {
     const at = spec.lastIndexOf('@');
     if (at <= 0) throw new Error(`Invalid package specifier: ${spec}. Use name@version`);
     const pkgName = spec.slice(0, at);
     const version = spec.slice(at + 1);
     if (!version) throw new Error(`Missing version in specifier: ${spec}`);
     const path = this.tarballPath(pkgName, version);
-    // Encode each segment to safely handle '@' in scopes, spaces, etc.
-    const encodedPath = path
-      .split('/')
-      .map((seg) => encodeURIComponent(seg))
-      .join('/');
-    const storageUrl = `${this.baseUrl}/api/storage/${this.repository}/${encodedPath}`;
+    const storageUrl = `${this.baseUrl}/api/storage/${repository}/${encodePath(path)}`;
     const statsUrl = `${storageUrl}?stats`;
 
     try {
       const storageResp = await this.#getJson(storageUrl);
       const existsInCache = Boolean(storageResp && storageResp.repo);
       if (!existsInCache) {
-        return { package: pkgName, version, existsInCache };
+        return { repository, package: pkgName, version, existsInCache };
       }
 
       const statsResp = await this.#getJson(statsUrl);
       const lastDownloaded = statsResp?.lastDownloaded ? new Date(statsResp.lastDownloaded).toISOString() : undefined;
 
       return {
+        repository,
+        resolvedRepo: storageResp.repo,
         package: pkgName,
         version,
         existsInCache,
@@ -70,19 +91,220 @@ export class ArtifactoryClient {
       };
     } catch (err) {
       const message = err instanceof Error ? err.message : 'Unknown error';
-      return { package: pkgName, version, existsInCache: false, error: message };
+      return { repository, package: pkgName, version, existsInCache: false, error: message };
+    }
+  }
+
+  // Check every cached version of a package that falls in a compromised range. Results
+  // carry the range as compromisedRange; with no cached version in it, one result for the
+  // range itself says it is not in cache.
+  async checkCachedRange(pkgName, range, repository = this.repository) {
+    let versions;
+    try {
+      versions = await this.listCachedVersions(pkgName, repository);
+    } catch (err) {
+      return [{ repository, package: pkgName, version: range, existsInCache: false, error: err.message }];
     }
+    const matching = versions.filter((v) => matchCompromisedVersion(new Set([range]), v));
+    if (matching.length === 0) {
+      return [{ repository, package: pkgName, version: range, existsInCache: false }];
+    }
+    const results = await Promise.all(matching.map((v) => this.checkCache(`${pkgName}@${v}`, repository)));
+    return results.map((r) => ({ ...r, compromisedRange: range }));
+  }
+
+  // List the versions of a package whose tarballs are in a repository, from the storage
+  // folder listing of "<name>/-/" (a virtual repository lists its members' contents)
+  async listCachedVersions(pkgName, repository = this.repository) {
+    const encodedName = pkgName.split('/').map((seg) => encodeURIComponent(seg)).join('/');
+    const folder = await this.#getJson(`${this.baseUrl}/api/storage/${repository}/${encodedName}/-`);
+    const prefix = `/${pkgName.split('/').pop()}-`;
+    return (folder?.children ?? [])
+      .filter((child) => !child.folder && child.uri.startsWith(prefix) && child.uri.endsWith('.tgz'))
+      .map((child) => child.uri.slice(prefix.length, -'.tgz'.length));
   }
 
+  // List npm repositories that store tarballs (local and remote; virtual repositories
+  // only aggregate these)
+  async listNpmRepositories() {
+    const repos = await this.#getJson(`${this.baseUrl}/api/repositories?packageType=npm`);
+    return (Array.isArray(repos) ? repos : [])
+      .filter((r) => r.type === 'LOCAL' || r.type === 'REMOTE')
+      .map((r) => r.key);
+  }
+
+  // Map a repository key to the repositories that actually store its tarballs: a remote's
+  // "-cache" repository, a local repository itself, or (recursively) a virtual's members
+  async resolveStorageRepos(repository = this.repository, seen = new Set()) {
+    if (repository.endsWith('-cache')) return [repository];
+    if (seen.has(repository)) return [];
+    seen.add(repository);
+
+    const config = await this.getRepositoryConfig(repository);
+    switch (config?.rclass) {
+      case 'virtual': {
+        const members = await Promise.all((config.repositories ?? []).map((m) => this.resolveStorageRepos(m, seen)));
+        return [...new Set(members.flat())];
+      }
+      case 'remote':
+        return [`${repository}-cache`];
+      case 'local':
+        return [repository];
+      default:
+        // Configuration not readable with these credentials; cover both possibilities
+        return [repository, `${repository}-cache`];
+    }
+  }
+
+  // A repository's configuration (rclass, excludesPattern, ...), or null when it does
+  // not exist or is not readable with these credentials
+  async getRepositoryConfig(repository) {
+    const config = await this.#getJson(`${this.baseUrl}/api/repositories/${encodeURIComponent(repository)}`);
+    return config?.key ? config : null;
+  }
+
+  // Change some settings of a repository (admin permission needed)
+  async updateRepositoryConfig(repository, changes) {
+    await this.#requestJson(`${this.baseUrl}/api/repositories/${encodeURIComponent(repository)}`, {
+      method: 'POST',
+      body: JSON.stringify(changes),
+      contentType: 'application/json',
+      missingOk: false,
+    });
+  }
+
+  // Find every cached tarball for each package name using AQL, batching many names
+  // per query. Returns Map<name, { versions: Array<{ version, existsInCache, lastDownloaded,
+  // additional }> }> with the same stats fields checkCache reports. A failed query (after
+  // retries) maps each name of its batch to { error } instead; other batches are kept.
+  // AQL only sees physical repositories, so pass `repos` from resolveStorageRepos() when
+  // scanning a virtual repository.
+  async findCachedVersions(pkgNames, { batchSize = 50, repos } = {}) {
+    const found = new Map(pkgNames.map((name) => [name, { versions: [] }]));
+    // A remote repository's tarballs live in its "-cache" repository
+    repos ??= this.repository.endsWith('-cache') ? [this.repository] : [this.repository, `${this.repository}-cache`];
+
+    const batches = [];
+    for (let i = 0; i < pkgNames.length; i += batchSize) {
+      batches.push(pkgNames.slice(i, i + batchSize));
+    }
+
+    await Promise.all(batches.map(async (batch) => {
+      const criteria = {
+        $and: [
+          { $or: repos.map((repo) => ({ repo })) },
+          { $or: batch.map((pkgName) => ({ $and: [
+            { path: `${pkgName}/-` },
+            { name: { $match: `${pkgName.split('/').pop()}-*.tgz` } },
+          ] })) },
+        ],
+      };
+      const query = `items.find(${JSON.stringify(criteria)})`
+        + '.include("repo","path","name","size","actual_sha1","actual_md5","sha256",'
+        + '"stat.downloads","stat.downloaded","stat.downloaded_by")';
+      let resp;
+      try {
+        resp = await this.#postText(`${this.baseUrl}/api/search/aql`, query);
+      } catch (err) {
+        batch.forEach((pkgName) => found.set(pkgName, { error: `AQL query failed: ${err.message}` }));
+        return;
+      }
+
+      for (const item of resp?.results ?? []) {
+        const pkgName = item.path.replace(/\/-$/, '');
+        if (!found.get(pkgName)?.versions) continue;
+        const version = item.name.slice(pkgName.split('/').pop().length + 1, -'.tgz'.length);
+        const stat = item.stats?.[0] ?? {};
+        found.get(pkgName).versions.push({
+          resolvedRepo: item.repo,
+          package: pkgName,
+          version,
+          existsInCache: true,
+          lastDownloaded: stat.downloaded ? new Date(stat.downloaded).toISOString() : undefined,
+          additional: {
+            downloadCount: stat.downloads,
+            lastDownloadedBy: stat.downloaded_by,
+            size: item.size,
+            checksums: { sha1: item.actual_sha1, md5: item.actual_md5, sha256: item.sha256 },
+            uri: `${this.baseUrl}/api/storage/${item.repo}/${item.path}/${item.name}`,
+          },
+        });
+      }
+    }));
+
+    return found;
+  }
+
+  // Set properties on an item: { key: value or [values] }. Existing values of these keys
+  // are replaced; other properties are kept.
+  async setProperties(repository, path, properties) {
+    const list = Object.entries(properties)
+      .map(([key, value]) => `${key}=${[value].flat().map(escapePropertyValue).join(',')}`)
+      .join(';');
+    await this.#requestJson(`${this.baseUrl}/api/storage/${repository}/${encodePath(path)}?properties=${encodeURIComponent(list)}`, { method: 'PUT', missingOk: false });
+  }
+
+  // Move an item to the same path in another repository (e.g. a local quarantine repo).
+  // A move Artifactory could not complete can still answer 200, with ERROR messages.
+  async moveItem(repository, path, targetRepository) {
+    const target = `/${targetRepository}/${path}`;
+    const { messages = [] } = await this.#requestJson(`${this.baseUrl}/api/move/${repository}/${encodePath(path)}?to=${encodeURIComponent(target)}`, { method: 'POST', missingOk: false });
+    const errors = messages.filter((m) => m.level === 'ERROR');
+    if (errors.length > 0) throw new Error(errors.map((m) => m.message).join('; '));
+  }
+
+  async deleteItem(repository, path) {
+    await this.#requestJson(`${this.baseUrl}/${repository}/${encodePath(path)}`, { method: 'DELETE', missingOk: false });
+  }
+
+  // Request JSON, retrying 429/5xx responses and network errors with exponential backoff
+  // (honoring Retry-After when the server sends it)
   async #getJson(url) {
+    return this.#requestJson(url);
+  }
+
+  async #postText(url, body) {
+    return this.#requestJson(url, { method: 'POST', body, contentType: 'text/plain' });
+  }
+
+  async #requestJson(url, request = {}) {
+    return this.#limit(async () => {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await this.#fetchJson(url, request);
+        } catch (err) {
+          if (!err.retryable || attempt >= this.maxRetries) throw err;
+          const delay = err.retryAfter ?? Math.min(1000 * 2 ** attempt, MAX_BACKOFF_MS) * (0.5 + Math.random() / 2);
+          if (this.onRetry) this.onRetry({ url, status: err.status, attempt: attempt + 1, delay, message: err.message });
+          await sleep(delay);
+        }
+      }
+    });
+  }
+
+  // A 404 reads as an empty response, except for changes (missingOk: false) which must
+  // find their item
+  async #fetchJson(url, { method = 'GET', body, contentType, missingOk = true } = {}) {
     const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 15000);
+    // AQL queries over many packages can take a while on large repositories
+    const timeout = setTimeout(() => controller.abort(), method === 'GET' ? 15000 : 120000);
     try {
-      const res = await fetch(url, { headers: this.headers, signal: controller.signal });
-      if (res.status === 404) return {};
+      let res;
+      try {
+        const headers = contentType ? { ...this.headers, 'Content-Type': contentType } : this.headers;
+        res = await fetch(url, { method, headers, body, signal: controller.signal });
+      } catch (err) {
+        // Network failure or timeout
+        throw Object.assign(new Error(err.name === 'AbortError' ? 'Request timed out' : err.message), { retryable: true });
+      }
+      if (res.status === 404 && missingOk) return {};
       if (!res.ok) {
         const text = await res.text().catch(() => '');
-        throw new Error(`${res.status} ${res.statusText}${text ? ` - ${text}` : ''}`);
+        throw Object.assign(new Error(`${res.status} ${res.statusText}${text ? ` - ${text}` : ''}`), {
+          status: res.status,
+          retryable: RETRY_STATUSES.has(res.status),
+          retryAfter: parseRetryAfter(res.headers.get('retry-after')),
+        });
       }
       const ct = res.headers.get('content-type') || '';
       if (!ct.includes('application/json')) {
@@ -99,5 +321,3 @@ export class ArtifactoryClient {
     }
   }
 }
-
-
@@ -0,0 +1,130 @@
+import { HostScanner } from './hostScanner.js';
+import { RestClient } from './restClient.js';
+
+// Scans the repositories of a Bitbucket Server / Data Center project (or a personal
+// project, "~username") through the REST API 1.0. Authenticates with an HTTP access
+// token (Bearer), or with username and password/token (Basic). Bitbucket has no blob
+// SHAs in its file listing, so the manifest cache is not used. See HostScanner for the
+// scan options.
+export class BitbucketScanner extends HostScanner {
+  constructor({ baseUrl, token, username, project, maxRetries, ...options }) {
+    super({ ...options, platform: 'bitbucket', owner: project });
+    this.client = new RestClient({
+      baseUrl: `${baseUrl.replace(/\/+$/, '')}/rest/api/1.0`,
+      headers: username
+        ? { Authorization: `Basic ${Buffer.from(`${username}:${token}`).toString('base64')}` }
+        : token ? { Authorization: `Bearer ${token}` } : {},
+      maxRetries,
+      // Rate limiting (429) and transient failures are retried by the client
+      onRetry: (info) => this.onRateLimit?.({ type: info.status === 429 ? 'rate-limit' : 'retry', retryAfter: Math.round(info.delay / 1000), retryCount: info.attempt - 1 }),
+    });
+  }
+
+  #repoPath(repo) {
+    return `/projects/${encodeURIComponent(this.owner)}/repos/${encodeURIComponent(repo)}`;
+  }
+
+  // Follow Bitbucket paged APIs (start / nextPageStart / isLastPage)
+  async #paginate(path, query = {}) {
+    const values = [];
+    let start = 0;
+    while (start !== undefined) {
+      const { data } = await this.client.get(path, { limit: 1000, ...query, start });
+      if (!data) return null;
+      values.push(...data.values);
+      start = data.isLastPage ? undefined : data.nextPageStart;
+    }
+    return values;
+  }
+
+  // List the project's repositories. The default branch is not part of the listing;
+  // listBranches() flags it instead.
+  async listRepos() {
+    const repos = await this.#paginate(`/projects/${encodeURIComponent(this.owner)}/repos`, { limit: 100 });
+    if (!repos) throw new Error(`Bitbucket project ${this.owner} not found`);
+    return repos.map((repo) => ({
+      name: repo.slug,
+      full_name: `${this.owner}/${repo.slug}`,
+      topics: [],
+      archived: repo.archived ?? false,
+      fork: Boolean(repo.origin),
+      is_template: false,
+      visibility: repo.public ? 'public' : 'private',
+    }));
+  }
+
+  async listBranches(repo) {
+    const branches = await this.#paginate(`${this.#repoPath(repo.name)}/branches`, { limit: 100 });
+    return (branches ?? []).map((branch) => ({ name: branch.displayId, sha: branch.latestCommit, isDefault: branch.isDefault }));
+  }
+
+  async getDefaultBranch(repo) {
+    // 204 No Content (empty body) for an empty repository
+    const { data } = await this.client.get(`${this.#repoPath(repo.name)}/branches/default`, {}, { text: true });
+    if (!data) return null;
+    const branch = JSON.parse(data);
+    return { name: branch.displayId, sha: branch.latestCommit };
+  }
+
+  // Open pull requests, scanned at their source commit and reported as pull/<id>
+  async listOpenPullRequests(repo) {
+    const pulls = await this.#paginate(`${this.#repoPath(repo.name)}/pull-requests`, { state: 'OPEN', limit: 100 });
+    return (pulls ?? []).map((pr) => ({
+      branch: `pull/${pr.id}`,
+      sha: pr.fromRef.latestCommit,
+      pullRequest: { number: pr.id, title: pr.title, headRef: pr.fromRef.displayId, url: pr.links?.self?.[0]?.href },
+    }));
+  }
+
+  // List all file paths at a ref (skipping node_modules)
+  async listTreeFiles(repo, branch) {
+    const files = await this.#paginate(`${this.#repoPath(repo)}/files`, { at: branch });
+    return (files ?? []).filter((path) => !path.includes('node_modules/'));
+  }
+
+  // Raw commits reachable from ref and committed since a date, newest first. The commits
+  // API has no date filter, so stop paging at the first older commit.
+  async #commitsSince(repo, ref, since, query = {}) {
+    const commits = [];
+    let start = 0;
+    while (start !== undefined) {
+      const { data } = await this.client.get(`${this.#repoPath(repo)}/commits`, { until: ref, ...query, limit: 100, start });
+      if (!data) break;
+      for (const commit of data.values) {
+        if (commit.committerTimestamp < since.getTime()) return commits;
+        commits.push(commit);
+      }
+      start = data.isLastPage ? undefined : data.nextPageStart;
+    }
+    return commits;
+  }
+
+  // Commits that changed a file, reachable from ref and committed since a date, newest first
+  async listFileCommits(repo, ref, path, since) {
+    return (await this.#commitsSince(repo, ref, since, { path })).map((commit) => ({
+      sha: commit.id,
+      parent: commit.parents?.[0]?.id ?? null,
+      date: new Date(commit.committerTimestamp).toISOString(),
+      author: { name: commit.author?.displayName ?? commit.author?.name, email: commit.author?.emailAddress },
+      message: commit.message.split('\n')[0],
+    }));
+  }
+
+  // Every path (old and new, for renames) changed by a commit reachable from ref since a date
+  async listChangedPaths(repo, ref, since) {
+    const paths = new Set();
+    for (const commit of await this.#commitsSince(repo, ref, since)) {
+      for (const change of (await this.#paginate(`${this.#repoPath(repo)}/commits/${commit.id}/changes`, { limit: 100 })) ?? []) {
+        paths.add(change.path.toString);
+        if (change.srcPath) paths.add(change.srcPath.toString);
+      }
+    }
+    return [...paths];
+  }
+
+  async getFileContent(repo, branch, path) {
+    const encodedPath = path.split('/').map((seg) => encodeURIComponent(seg)).join('/');
+    const { data } = await this.client.get(`${this.#repoPath(repo)}/raw/${encodedPath}`, { at: branch }, { text: true });
+    return data;
+  }
+}
@@ -0,0 +1,98 @@
+import { createHash } from 'node:crypto';
+import { appendFile, readFile, writeFile } from 'node:fs/promises';
+
+// JSONL checkpoint of an org scan, appended to as each repository finishes so a crashed
+// or interrupted scan can resume. The first line identifies the package list (and the
+// --since date of a history scan):
+//   { "type": "header", "specsHash": "...", "since": null, "startedAt": "..." }
+//   { "type": "repo", "repo": "org/name", "targets": [{ "branch", "sha" }], "results": [...] }
+// A repository is reused on resume only if it is scanned at the same branches and commit
+// SHAs. One whose scan failed is recorded with "failed": true and scanned again on resume.
+export class ScanCheckpoint {
+  path;
+  #repos = new Map();
+  #writes = Promise.resolve();
+
+  constructor({ path }) {
+    this.path = path;
+  }
+
+  static specsHash(specs) {
+    return createHash('sha256').update([...new Set(specs)].sort().join('\n')).digest('hex');
+  }
+
+  // Load an existing checkpoint to resume from; it must be for the same package list
+  // and history window
+  async resume(specs, { since = null } = {}) {
+    let content;
+    try {
+      content = await readFile(this.path, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return this.start(specs, { since });
+      throw new Error(`Failed to read checkpoint ${this.path}: ${err.message}`);
+    }
+
+    const lines = content.split('\n').filter(Boolean);
+    lines.forEach((line, i) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        // The last line may be cut short by a crash
+        if (i === lines.length - 1) return;
+        throw new Error(`Invalid checkpoint ${this.path} line ${i + 1}: ${err.message}`);
+      }
+      if (record.type === 'header' && record.specsHash !== ScanCheckpoint.specsHash(specs)) {
+        throw new Error(`Checkpoint ${this.path} was written for a different package list; start a new checkpoint`);
+      }
+      if (record.type === 'header' && (record.since ?? null) !== (since?.toISOString() ?? null)) {
+        throw new Error(`Checkpoint ${this.path} was written for a different --since date; start a new checkpoint`);
+      }
+      if (record.type === 'repo') this.#repos.set(record.repo, record);
+    });
+    if (lines.length === 0) return this.start(specs, { since });
+    // Make sure new records start on their own line after a truncated one
+    if (!content.endsWith('\n')) await appendFile(this.path, '\n');
+    return this;
+  }
+
+  // Start a new checkpoint file
+  async start(specs, { since = null } = {}) {
+    const header = {
+      type: 'header',
+      specsHash: ScanCheckpoint.specsHash(specs),
+      since: since?.toISOString() ?? null,
+      startedAt: new Date().toISOString(),
+    };
+    await writeFile(this.path, `${JSON.stringify(header)}\n`);
+    return this;
+  }
+
+  get size() {
+    return this.#repos.size;
+  }
+
+  // Results recorded for a repo, if it was scanned at exactly these targets
+  lookup(repo, targets) {
+    const record = this.#repos.get(repo);
+    if (!record || record.failed || record.targets.length !== targets.length) return null;
+    const recorded = new Map(record.targets.map((t) => [t.branch, t.sha]));
+    return targets.every((t) => t.sha && recorded.get(t.branch) === t.sha) ? record.results : null;
+  }
+
+  // Append a finished repo; writes are serialized so lines never interleave. A failed write
+  // rejects only its own record, so later repositories are still recorded.
+  record(repo, targets, results, { failed = false } = {}) {
+    const record = {
+      type: 'repo',
+      repo,
+      targets: targets.map(({ branch, sha }) => ({ branch, sha })),
+      results,
+      ...(failed && { failed }),
+    };
+    this.#repos.set(repo, record);
+    const write = this.#writes.then(() => appendFile(this.path, `${JSON.stringify(record)}\n`));
+    this.#writes = write.catch(() => {});
+    return write;
+  }
+}
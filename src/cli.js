@@ -1,8 +1,24 @@
 #!/usr/bin/env node
-import { Command } from 'commander';
+import { Command, InvalidArgumentError, Option } from 'commander';
+import { readFile } from 'node:fs/promises';
+import { createInterface } from 'node:readline/promises';
 import { text } from 'node:stream/consumers';
+import { validRange } from 'semver';
+import { AdvisoryStore, defaultAdvisoryDbPath } from './advisoryStore.js';
 import { ArtifactoryClient } from './artifactoryClient.js';
+import { ScanCheckpoint } from './checkpoint.js';
+import { BitbucketScanner } from './bitbucketScanner.js';
 import { GitHubScanner } from './githubScanner.js';
+import { GitLabScanner } from './gitlabScanner.js';
+import { buildExposureReport, checkFindingsInCache, findingSpecs } from './exposureReport.js';
+import { excludePatterns, mergeExcludes, readRollbackFile, writeRollbackFile } from './excludePatterns.js';
+import { LocalScanner } from './localScanner.js';
+import { REMEDIATION_ACTIONS, RemediationAuditLog, applyRemediationPlan, buildRemediationPlan, readRemediationPlan, writeRemediationPlan } from './remediation.js';
+import { dependencyKinds } from './lockfiles.js';
+import { ManifestCache, defaultManifestCacheDir } from './manifestCache.js';
+import { loadAdvisorySource } from './osv.js';
+import { buildCompromisedMap, isRangeSpec, matchCompromisedVersion, parseSpec } from './compromised.js';
+import { toSarif } from './sarif.js';
 
 // Central list of suggested sources (also shown in --help)
 const SUGGESTED_SOURCES = [
@@ -14,137 +30,705 @@ const SUGGESTED_SOURCES = [
   'https://research.jfrog.com/shai_hulud_2_packages.csv',
 ];
 
+// Exit codes: findings at or above --fail-on take precedence over scan errors
+const EXIT_CLEAN = 0;
+const EXIT_FINDINGS = 1;
+const EXIT_ERROR = 2;
+
+// Manifest scan severities, most severe first
+const SEVERITIES = ['critical', 'danger', 'caution'];
+
+// --archived/--forks/--templates: scan them too, skip them, or scan only them
+const REPO_FLAG_MODES = ['include', 'exclude', 'only'];
+
 const helpDescription = [
   'Audit Artifactory npm proxy cache or GitHub repos for compromised packages',
   '',
   'Suggested sources for --scrape-url / --scrape-all:',
   ...SUGGESTED_SOURCES.map((u) => `  - ${u}`),
+  '',
+  'Maintained feeds for --osv (OSV / GitHub advisory JSON):',
+  '  - a clone or zip of https://github.com/ossf/malicious-packages',
+  '  - https://osv-vulnerabilities.storage.googleapis.com/npm/all.zip (with --osv-malicious-only)',
 ].join('\n');
 
 const main = async () => {
-  const opts = new Command('jfrog-scan')
+  let exitCode = EXIT_CLEAN;
+
+  const program = new Command('jfrog-scan')
     .description(helpDescription)
+    // Usage errors are scan errors, not findings
+    .exitOverride((err) => process.exit(err.exitCode === 0 ? EXIT_CLEAN : EXIT_ERROR))
     // Artifactory options
     .option('-u, --base-url <url>', 'Artifactory base URL (e.g., https://host/artifactory)', process.env.ARTIFACTORY_BASE_URL)
-    .option('-r, --repo <name>', 'Artifactory repository key (npm remote/virtual)', process.env.ARTIFACTORY_REPOSITORY)
+    .option('-r, --repo <name>', 'Artifactory repository key (npm remote/virtual); repeatable', (val, acc) => { (acc ||= []).push(val); return acc; })
+    .option('--all-npm-repos', 'Scan every local and remote npm repository', false)
     .option('--username <name>', 'Artifactory username', process.env.ARTIFACTORY_USERNAME)
     .option('--password <pwd>', 'Artifactory password', process.env.ARTIFACTORY_PASSWORD)
     .option('--token <token>', 'Artifactory access token (preferred)', process.env.ARTIFACTORY_ACCESS_TOKEN)
+    .option('--concurrency <n>', 'Maximum concurrent Artifactory requests', (val) => parsePositiveInt(val, '--concurrency'), 8)
+    .option('--aql', 'Use AQL to find every cached version of each package in a few batched queries', false)
+    .option('--aql-batch-size <n>', 'Package names per AQL query', (val) => parsePositiveInt(val, '--aql-batch-size'), 50)
+    .option('--max-retries <n>', 'Retries for rate-limited (429) or failed (5xx) Artifactory, GitLab and Bitbucket requests', (val) => parseNonNegativeInt(val, '--max-retries'), 5)
     // GitHub options
-    .option('--github-org <org>', 'GitHub organization to scan', process.env.GITHUB_ORG)
+    .option('--github-org <org>', 'GitHub organization to scan; repeatable', (val, acc) => { (acc ||= []).push(val); return acc; })
+    .option('--github-user <user>', 'GitHub user account to scan; repeatable', (val, acc) => { (acc ||= []).push(val); return acc; }, [])
     .option('--github-token <token>', 'GitHub personal access token', process.env.GITHUB_TOKEN)
+    .option('--github-api-url <url>', 'GitHub API URL, for GitHub Enterprise Server (e.g. https://ghe.example.com/api/v3)', process.env.GITHUB_API_URL)
+    .option('--github-app-id <id>', 'Authenticate as a GitHub App installation instead of a token', process.env.GITHUB_APP_ID)
+    .option('--github-app-private-key <path>', 'GitHub App private key (PEM file)', process.env.GITHUB_APP_PRIVATE_KEY_PATH)
+    .option('--github-app-installation-id <id>', 'GitHub App installation (default: the app\'s installation on each org or user)', process.env.GITHUB_APP_INSTALLATION_ID)
+    // GitLab options
+    .option('--gitlab-group <group>', 'GitLab group to scan, including subgroups; repeatable', (val, acc) => { (acc ||= []).push(val); return acc; }, [])
+    .option('--gitlab-user <user>', 'GitLab user to scan; repeatable', (val, acc) => { (acc ||= []).push(val); return acc; }, [])
+    .option('--gitlab-url <url>', 'GitLab URL', process.env.GITLAB_URL || 'https://gitlab.com')
+    .option('--gitlab-token <token>', 'GitLab personal, group or project access token', process.env.GITLAB_TOKEN)
+    // Bitbucket Server / Data Center options
+    .option('--bitbucket-project <key>', 'Bitbucket project key to scan (~username for a personal project); repeatable', (val, acc) => { (acc ||= []).push(val); return acc; }, [])
+    .option('--bitbucket-url <url>', 'Bitbucket Server / Data Center URL', process.env.BITBUCKET_URL)
+    .option('--bitbucket-token <token>', 'Bitbucket HTTP access token (or password with --bitbucket-username)', process.env.BITBUCKET_TOKEN)
+    .option('--bitbucket-username <name>', 'Bitbucket username, for basic authentication', process.env.BITBUCKET_USERNAME)
+    // Org scan options (GitHub, GitLab, Bitbucket)
+    .option('--branch <pattern>', 'Branch glob (release/*) or /regex/ to scan; repeatable (default: default branch, main, master, dev, N.N)', (val, acc) => { (acc ||= []).push(val); return acc; }, [])
+    .addOption(new Option('--default-branch-only', 'Only scan each repository\'s default branch').conflicts(['branch', 'allBranches']))
+    .addOption(new Option('--all-branches', 'Scan every branch').conflicts('branch'))
+    .option('--pull-requests', 'Also scan the head commit of open pull (merge) requests', false)
+    .addOption(new Option('--strategy <strategy>', 'Which GitHub repositories get a full manifest scan: all, those whose dependency graph SBOM or code search mentions a compromised package').choices(['manifest', 'sbom', 'code-search']).default('manifest'))
+    .option('--github-concurrency <n>', 'Repositories scanned in parallel (per org, group or project)', (val) => parsePositiveInt(val, '--github-concurrency'), 4)
+    .option('--checkpoint <path>', 'Append each finished repository to this JSONL checkpoint file')
+    .addOption(new Option('--resume <checkpoint>', 'Resume from a checkpoint file, skipping repositories already scanned at the same commits').conflicts('checkpoint'))
+    .option('--manifest-cache [dir]', `Cache fetched manifests and parsed lockfiles by blob SHA, so re-scans only download changed files (default dir: ${defaultManifestCacheDir()})`)
+    .option('--repos-file <path>', 'Only scan repositories listed in this file (name or owner/name per line)')
+    .option('--repo-include <pattern>', 'Only scan repositories whose name matches this glob or /regex/; repeatable', (val, acc) => { (acc ||= []).push(val); return acc; }, [])
+    .option('--repo-exclude <pattern>', 'Skip repositories whose name matches this glob or /regex/; repeatable', (val, acc) => { (acc ||= []).push(val); return acc; }, [])
+    .option('--topic <topic>', 'Only scan repositories with this topic; repeatable (any)', (val, acc) => { (acc ||= []).push(val); return acc; }, [])
+    .option('--exclude-topic <topic>', 'Skip repositories with this topic; repeatable', (val, acc) => { (acc ||= []).push(val); return acc; }, [])
+    .option('--language <language>', 'Only scan repositories with this primary language; repeatable', (val, acc) => { (acc ||= []).push(val); return acc; }, [])
+    .addOption(new Option('--archived <mode>', 'Archived repositories').choices(REPO_FLAG_MODES).default('include'))
+    .addOption(new Option('--forks <mode>', 'Forked repositories').choices(REPO_FLAG_MODES).default('include'))
+    .addOption(new Option('--templates <mode>', 'Template repositories').choices(REPO_FLAG_MODES).default('include'))
+    .option('--visibility <visibility>', 'Only scan repositories with this visibility (public, private, internal); repeatable', parseVisibility, [])
+    .option('--pushed-after <date>', 'Skip repositories not pushed to since this date', parseDate)
+    .option('--correlate', 'With Artifactory details, look up the version of every CRITICAL and DANGER repository finding in the cache and print a risk-ranked exposure report', false)
+    .option('--since <date>', 'History mode: walk lockfile commits since this date and report when each compromised version was locked and removed', parseDate)
+    // Local filesystem options
+    .option('--scan-dir <path>', 'Scan a local directory tree (checkout, CI workspace) instead of GitHub')
+    .option('--scan-installed', 'With --scan-dir, also check installed node_modules package versions', false)
     // Package list options
     .option('--scrape-url <url>', 'Fetch a web page and extract impacted packages', (val, acc) => { (acc ||= []).push(val); return acc; }, [])
     .option('--scrape-all', 'Scrape and combine from all suggested sources', false)
-    .option('--json', 'Output JSON instead of table', false)
-    .parse(process.argv)
-    .opts();
-
-  // Build the package list
-  let specs;
-  if (opts.scrapeAll) {
-    const combined = new Set();
-    for (const src of SUGGESTED_SOURCES) {
-      const entries = await scrapeImpactedPackages(src);
-      entries.forEach((e) => combined.add(e));
-    }
-    specs = Array.from(combined);
-  } else if (Array.isArray(opts.scrapeUrl) && opts.scrapeUrl.length > 0) {
-    const combined = new Set();
-    for (const src of opts.scrapeUrl) {
-      const entries = await scrapeImpactedPackages(src);
-      entries.forEach((e) => combined.add(e));
+    .option('--osv <source>', 'Read OSV or GitHub advisory JSON (file, directory, .zip or URL), e.g. a clone of ossf/malicious-packages; repeatable', (val, acc) => { (acc ||= []).push(val); return acc; }, [])
+    .option('--osv-malicious-only', 'With --osv, only use malicious-package records (MAL- ids, GHSA malware)', false)
+    .option('--from-db', 'Read the package list from the local advisory database (see "update")', false)
+    .option('--advisory-db <path>', 'Advisory database file', process.env.JFROG_SCAN_ADVISORY_DB || defaultAdvisoryDbPath())
+    .addOption(new Option('--format <format>', 'Output format (sarif: GitHub and local scans only)').choices(['table', 'json', 'sarif']).default('table'))
+    .option('--json', 'Output JSON instead of table (same as --format json)', false)
+    // CI gating options
+    .addOption(new Option('--fail-on <level>', 'Exit with code 1 when findings at or above this level exist (cached: Artifactory only)').choices([...SEVERITIES, 'cached']))
+    .option('--downloaded-after <date>', 'With --fail-on cached, only count tarballs last downloaded on or after this date', parseDate)
+    .action(async () => {
+      exitCode = await runScan(normalizeOpts(program.opts()));
+    });
+
+  program
+    .command('update')
+    .description('Refresh the advisory database from feeds (--scrape-url/--osv, default: all suggested sources)')
+    .action(async () => {
+      exitCode = await runUpdate(normalizeOpts(program.opts()));
+    });
+
+  program
+    .command('diff')
+    .description('Show packages added to the advisory database by the last update')
+    .option('--since <date>', 'Show packages first seen on or after this date instead', parseDate)
+    .action(async (cmdOpts) => {
+      // Commander hands "diff --since" to the scan option of the same name
+      const opts = normalizeOpts(program.opts());
+      exitCode = await runDiff(opts, { since: cmdOpts.since ?? opts.since });
+    });
+
+  program
+    .command('remediate')
+    .description('Tag, quarantine or delete compromised tarballs in the Artifactory cache: preview with --dry-run (writes the plan), then apply the plan')
+    .addOption(new Option('--action <action>', 'What to do with each cached compromised tarball (with --dry-run)').choices(REMEDIATION_ACTIONS))
+    .option('--quarantine-repo <key>', 'Local repository to move tarballs to (--action quarantine)')
+    .option('--dry-run', 'Find the cached compromised tarballs and write the plan, changing nothing', false)
+    .option('--plan <path>', 'Remediation plan file, written by --dry-run and read when applying', 'jfrog-scan-remediation-plan.json')
+    .option('--yes', 'Apply the plan without asking for confirmation', false)
+    .option('--audit-log <path>', 'Append every planned and applied change to this JSONL file', 'jfrog-scan-audit.jsonl')
+    .action(async (cmdOpts) => {
+      exitCode = await runRemediate(normalizeOpts(program.opts()), cmdOpts);
+    });
+
+  program
+    .command('block')
+    .description('Print Artifactory exclude patterns for the compromised versions; with --repo, diff them against each repository\'s excludes')
+    .option('--apply', 'Add the missing patterns to each repository\'s excludes, saving the previous ones to --rollback-file', false)
+    .option('--rollback-file <path>', 'Where --apply saves the previous excludes (never overwritten)', 'jfrog-scan-excludes-rollback.json')
+    .addOption(new Option('--rollback <path>', 'Restore the excludes saved in this rollback file').conflicts('apply'))
+    .action(async (cmdOpts) => {
+      exitCode = await runBlock(normalizeOpts(program.opts()), cmdOpts);
+    });
+
+  await program.parseAsync(process.argv);
+  return exitCode;
+};
+
+const normalizeOpts = (opts) => {
+  if (opts.json) opts.format = 'json';
+  // --github-org may be given several times; GITHUB_ORG may be comma-separated
+  opts.githubOrg ??= (process.env.GITHUB_ORG ?? '').split(',').map((o) => o.trim()).filter(Boolean);
+  // --repo may be given several times; ARTIFACTORY_REPOSITORY may be comma-separated
+  opts.repo ??= (process.env.ARTIFACTORY_REPOSITORY ?? '').split(',').map((r) => r.trim()).filter(Boolean);
+  return opts;
+};
+
+// Build the package list from the advisory database, scraped sources or stdin
+const loadSpecs = async (opts) => [...(await loadSpecSources(opts)).keys()];
+
+// The package list with the sources listing each spec: Map<spec, [source]>
+const loadSpecSources = async (opts) => {
+  if (opts.fromDb) {
+    const store = await new AdvisoryStore({ path: opts.advisoryDb }).load();
+    if (store.isEmpty) {
+      throw new Error(`Advisory database ${opts.advisoryDb} is empty; run "jfrog-scan update" first`);
     }
-    specs = Array.from(combined);
-  } else {
-    specs = await readStdinImpactedPackages();
+    return new Map(store.specs().map((spec) => [spec, Object.keys(store.data.packages[spec].sources)]));
+  }
+  const feeds = feedSources(opts);
+  if (feeds.size > 0) {
+    return fetchFeeds(feeds);
   }
+  return new Map((await readStdinImpactedPackages()).map((spec) => [spec, ['stdin']]));
+};
+
+// Map each configured feed to its fetcher: scraped pages/CSVs, and OSV/GHSA records
+const feedSources = (opts) => new Map([
+  ...(opts.scrapeAll ? SUGGESTED_SOURCES : opts.scrapeUrl).map((src) => [src, scrapeImpactedPackages]),
+  ...opts.osv.map((src) => [src, (source) => loadAdvisorySource(source, { maliciousOnly: opts.osvMaliciousOnly })]),
+]);
+
+const fetchFeeds = async (feeds) => {
+  const combined = new Map();
+  for (const [src, fetchSource] of feeds) {
+    const entries = await fetchSource(src);
+    new Set(entries).forEach((e) => combined.set(e, [...(combined.get(e) ?? []), src]));
+  }
+  return combined;
+};
 
+// Default command: scan GitHub, a local directory or Artifactory
+const runScan = async (opts) => {
+  const specs = await loadSpecs(opts);
   if (!specs.length) {
     throw new Error('No packages specified.');
   }
 
-  // GitHub org scanning mode
-  if (opts.githubOrg) {
-    if (!opts.githubToken) {
-      throw new Error('--github-token is required when using --github-org');
+  // GitHub, GitLab and Bitbucket scanning mode
+  const hosts = [...opts.githubOrg, ...opts.githubUser, ...opts.gitlabGroup, ...opts.gitlabUser, ...opts.bitbucketProject];
+  if (hosts.length) {
+    if ((opts.githubOrg.length || opts.githubUser.length) && !opts.githubToken && !opts.githubAppId) {
+      throw new Error('--github-token or --github-app-id is required when using --github-org or --github-user');
     }
-    await runGitHubScan(opts, specs);
-    return;
+    if (opts.githubAppId && !opts.githubAppPrivateKey) {
+      throw new Error('--github-app-private-key is required when using --github-app-id');
+    }
+    // An installation belongs to one account; without an id, each owner's is looked up
+    if (opts.githubAppInstallationId && opts.githubOrg.length + opts.githubUser.length > 1) {
+      throw new Error('--github-app-installation-id applies to a single --github-org or --github-user; leave it out to use the app\'s installation on each');
+    }
+    if (opts.bitbucketProject.length && !opts.bitbucketUrl) {
+      throw new Error('--bitbucket-url is required when using --bitbucket-project');
+    }
+    if (opts.correlate) {
+      if (!opts.baseUrl || (!opts.repo.length && !opts.allNpmRepos)) {
+        throw new Error('--correlate requires --base-url and --repo (or --all-npm-repos)');
+      }
+      if (opts.format === 'sarif') throw new Error('--format sarif is not supported with --correlate');
+      return runExposureReport(opts, specs);
+    }
+    assertManifestFailOn(opts);
+    return runHostScan(opts, specs);
+  }
+
+  if (opts.correlate) {
+    throw new Error('--correlate only applies to repository scans (--github-org, --gitlab-group, ...)');
+  }
+
+  if (opts.since) {
+    throw new Error('--since only applies to repository scans (--github-org, --gitlab-group, ...)');
+  }
+
+  // Local filesystem scanning mode
+  if (opts.scanDir) {
+    assertManifestFailOn(opts);
+    return runLocalScan(opts, specs);
   }
 
   // Output only if no Artifactory details
-  if (!opts.baseUrl || !opts.repo) {
+  if (!opts.baseUrl || (!opts.repo.length && !opts.allNpmRepos)) {
     console.log(specs.join('\n'));
-    return;
+    return EXIT_CLEAN;
   }
 
   // Artifactory scanning mode
-  await runArtifactoryScan(opts, specs);
+  if (opts.format === 'sarif') {
+    throw new Error('--format sarif is only supported for repository (--github-org, --gitlab-group, ...) and --scan-dir scans');
+  }
+  if (opts.failOn && opts.failOn !== 'cached') {
+    throw new Error(`--fail-on ${opts.failOn} only applies to repository and --scan-dir scans; use --fail-on cached`);
+  }
+  return runArtifactoryScan(opts, specs);
+};
+
+// Refresh the advisory database; a failing feed doesn't fail the update
+const runUpdate = async (opts) => {
+  let feeds = feedSources(opts);
+  if (feeds.size === 0) feeds = feedSources({ ...opts, scrapeAll: true });
+  const store = await new AdvisoryStore({ path: opts.advisoryDb }).load();
+
+  const onSource = opts.format !== 'table' ? null : (info) => {
+    console.log(info.ok
+      ? `✅ ${info.source}: ${info.count} packages (${info.added} new)`
+      : `❌ ${info.source}: ${info.error}`);
+  };
+  const update = await store.update([...feeds.keys()], (src) => feeds.get(src)(src), { onSource });
+  await store.save();
+
+  if (opts.format === 'json') {
+    console.log(JSON.stringify(update, null, 2));
+  } else {
+    console.log(`\n${update.added.length} new packages; ${store.specs().length} total in ${store.path}`);
+  }
+  return update.sources.some((s) => !s.ok) ? EXIT_ERROR : EXIT_CLEAN;
+};
+
+// Show packages added by the last update (or since a date)
+const runDiff = async (opts, { since }) => {
+  const store = await new AdvisoryStore({ path: opts.advisoryDb }).load();
+  const added = store.diff({ since });
+
+  if (opts.format === 'json') {
+    console.log(JSON.stringify(added, null, 2));
+    return EXIT_CLEAN;
+  }
+
+  if (!store.lastUpdate) {
+    console.log(`No updates recorded in ${store.path}; run "jfrog-scan update" first.`);
+    return EXIT_CLEAN;
+  }
+  const label = since ? `since ${since.toISOString()}` : `in last update (${store.lastUpdate.finishedAt})`;
+  if (added.length === 0) {
+    console.log(`No packages added ${label}.`);
+    return EXIT_CLEAN;
+  }
+  console.log(`${added.length} packages added ${label}:`);
+  for (const a of added) {
+    console.log(`  + ${a.spec}  (first seen ${a.firstSeen}; ${a.sources.join(', ')})`);
+  }
+  return EXIT_CLEAN;
+};
+
+// Remediate cached compromised tarballs. A dry run finds them and writes the plan;
+// without --dry-run the plan is applied after confirmation, so only previewed changes
+// are ever made.
+const runRemediate = async (opts, cmdOpts) => {
+  if (!opts.baseUrl) throw new Error('--base-url is required for remediate');
+  const client = createArtifactoryClient(opts);
+  const auditLog = new RemediationAuditLog({ path: cmdOpts.auditLog });
+
+  if (cmdOpts.dryRun) {
+    if (!cmdOpts.action) throw new Error(`--action is required with --dry-run (${REMEDIATION_ACTIONS.join(', ')})`);
+    if (cmdOpts.action === 'quarantine' && !cmdOpts.quarantineRepo) {
+      throw new Error('--quarantine-repo is required for --action quarantine');
+    }
+    if (!opts.repo.length && !opts.allNpmRepos) throw new Error('--repo or --all-npm-repos is required for remediate --dry-run');
+
+    const specSources = await loadSpecSources(opts);
+    if (!specSources.size) throw new Error('No packages specified.');
+    const specs = [...specSources.keys()];
+    const cacheResults = [];
+    for (const repo of await artifactoryRepos(opts, client)) {
+      cacheResults.push(...(opts.aql
+        ? await checkCacheWithAql(opts, client, specs, repo)
+        : await checkCacheBySpec(opts, client, specs, repo)));
+    }
+    const plan = buildRemediationPlan(cacheResults, { client, action: cmdOpts.action, quarantineRepo: cmdOpts.quarantineRepo, specSources });
+    await writeRemediationPlan(cmdOpts.plan, plan);
+    for (const { repository, path } of plan.artifacts) {
+      await auditLog.record({ event: 'planned', action: plan.action, baseUrl: plan.baseUrl, repository, path, plan: cmdOpts.plan });
+    }
+
+    const errors = cacheResults.filter((r) => r.error);
+    if (opts.format === 'json') {
+      console.log(JSON.stringify({ plan, errors }, null, 2));
+    } else {
+      printRemediationPlan(plan);
+      errors.forEach((r) => console.log(`⚠️  ${r.repository}: ${r.package}@${r.version}: ${r.error}`));
+      if (plan.artifacts.length > 0) console.log(`\nPlan written to ${cmdOpts.plan}. Review it, then run "jfrog-scan remediate --plan ${cmdOpts.plan}" to apply it.`);
+    }
+    return errors.length > 0 ? EXIT_ERROR : EXIT_CLEAN;
+  }
+
+  const plan = await readRemediationPlan(cmdOpts.plan);
+  if (cmdOpts.action && cmdOpts.action !== plan.action) {
+    throw new Error(`Plan ${cmdOpts.plan} is for --action ${plan.action}; write a new plan with --dry-run`);
+  }
+  if (plan.baseUrl !== client.baseUrl) {
+    throw new Error(`Plan ${cmdOpts.plan} was written for ${plan.baseUrl}, not ${client.baseUrl}`);
+  }
+  if (opts.format === 'table') printRemediationPlan(plan);
+  if (plan.artifacts.length === 0) return EXIT_CLEAN;
+
+  if (!cmdOpts.yes) {
+    if (!process.stdin.isTTY) throw new Error('Confirmation needed: run remediate in a terminal, or pass --yes');
+    const prompt = createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await prompt.question(`\nType "yes" to ${plan.action} ${plan.artifacts.length} tarballs: `);
+    prompt.close();
+    if (answer.trim() !== 'yes') {
+      await auditLog.record({ event: 'aborted', action: plan.action, baseUrl: plan.baseUrl, plan: cmdOpts.plan });
+      console.log('Aborted; nothing was changed.');
+      return EXIT_CLEAN;
+    }
+  }
+  await auditLog.record({ event: 'apply', action: plan.action, baseUrl: plan.baseUrl, plan: cmdOpts.plan, artifacts: plan.artifacts.length, confirmedBy: cmdOpts.yes ? '--yes' : 'prompt' });
+
+  const outcomes = await applyRemediationPlan(plan, client, auditLog, opts.format !== 'table' ? null : (outcome) => {
+    const { repository, path } = outcome.artifact;
+    console.log(outcome.ok ? `✅ ${repository}/${path}` : `❌ ${repository}/${path}: ${outcome.error}`);
+  });
+  const failed = outcomes.filter((o) => !o.ok).length;
+  if (opts.format === 'json') {
+    console.log(JSON.stringify(outcomes, null, 2));
+  } else {
+    console.log(`\n${outcomes.length - failed} of ${outcomes.length} tarballs remediated (${plan.action}); audit log: ${cmdOpts.auditLog}`);
+  }
+  return failed > 0 ? EXIT_ERROR : EXIT_CLEAN;
+};
+
+const printRemediationPlan = (plan) => {
+  if (plan.artifacts.length === 0) {
+    console.log('No compromised tarballs in the cache; nothing to remediate.');
+    return;
+  }
+  const verb = { tag: 'Tag', quarantine: `Tag and move to ${plan.quarantineRepo}`, delete: 'Delete' }[plan.action];
+  console.log(`${verb} (plan of ${plan.createdAt}, ${plan.baseUrl}):`);
+  for (const a of plan.artifacts) {
+    const downloads = a.lastDownloaded ? `last downloaded ${a.lastDownloaded}, ${a.downloadCount ?? 0} downloads` : 'never downloaded';
+    console.log(`  - ${a.repository}/${a.path}  (${downloads}${a.sources.length > 0 ? `; ${a.sources.join(', ')}` : ''})`);
+  }
+};
+
+// Exclude patterns blocking the compromised versions: printed, diffed against the
+// --repo repositories' excludes, and with --apply added to them (after saving a rollback
+// file). --rollback restores the saved excludes.
+const runBlock = async (opts, cmdOpts) => {
+  if (cmdOpts.rollback) {
+    if (!opts.baseUrl) throw new Error('--base-url is required for block --rollback');
+    const client = createArtifactoryClient(opts);
+    const rollback = await readRollbackFile(cmdOpts.rollback);
+    if (rollback.baseUrl !== client.baseUrl) {
+      throw new Error(`Rollback file ${cmdOpts.rollback} was written for ${rollback.baseUrl}, not ${client.baseUrl}`);
+    }
+    let failed = 0;
+    for (const { key, excludesPattern } of rollback.repositories) {
+      try {
+        await client.updateRepositoryConfig(key, { excludesPattern });
+        console.log(`✅ ${key}: excludes restored`);
+      } catch (err) {
+        failed++;
+        console.log(`❌ ${key}: ${err.message}`);
+      }
+    }
+    return failed > 0 ? EXIT_ERROR : EXIT_CLEAN;
+  }
+
+  const specs = await loadSpecs(opts);
+  if (!specs.length) throw new Error('No packages specified.');
+  const { patterns, skipped } = excludePatterns(specs);
+  const report = (message) => (opts.format === 'table' ? console.log(message) : process.stderr.write(`${message}\n`));
+
+  if (!opts.baseUrl || (!opts.repo.length && !opts.allNpmRepos)) {
+    if (cmdOpts.apply) throw new Error('--apply requires --base-url and --repo (or --all-npm-repos)');
+    if (opts.format === 'json') {
+      console.log(JSON.stringify({ patterns, skipped }, null, 2));
+    } else {
+      patterns.forEach((p) => console.log(p));
+      skipped.forEach(({ spec, reason }) => process.stderr.write(`⚠️  ${spec}: ${reason}\n`));
+    }
+    return EXIT_CLEAN;
+  }
+
+  // Diff against each repository's current excludes
+  const client = createArtifactoryClient(opts);
+  const changes = [];
+  const errors = [];
+  for (const key of await artifactoryRepos(opts, client)) {
+    const config = await client.getRepositoryConfig(key);
+    if (!config) {
+      errors.push(`${key}: repository configuration not found (admin permission is needed)`);
+      continue;
+    }
+    changes.push({ key, current: config.excludesPattern ?? '', ...mergeExcludes(config.excludesPattern, patterns) });
+  }
+
+  if (opts.format === 'table') {
+    for (const change of changes) {
+      console.log(`${change.key}: ${change.added.length} patterns to add (${patterns.length - change.added.length} already excluded)`);
+      change.added.forEach((p) => console.log(`  + ${p}`));
+    }
+    skipped.forEach(({ spec, reason }) => console.log(`⚠️  ${spec}: ${reason}`));
+    errors.forEach((e) => console.log(`❌ ${e}`));
+  }
+
+  const pending = changes.filter((change) => change.added.length > 0);
+  if (cmdOpts.apply && pending.length > 0) {
+    await writeRollbackFile(cmdOpts.rollbackFile, {
+      createdAt: new Date().toISOString(),
+      baseUrl: client.baseUrl,
+      repositories: pending.map(({ key, current }) => ({ key, excludesPattern: current })),
+    });
+    report(`Previous excludes saved to ${cmdOpts.rollbackFile}`);
+    for (const change of pending) {
+      try {
+        await client.updateRepositoryConfig(change.key, { excludesPattern: change.excludesPattern });
+        change.applied = true;
+        report(`✅ ${change.key}: ${change.added.length} patterns added`);
+      } catch (err) {
+        errors.push(`${change.key}: ${err.message}`);
+        report(`❌ ${change.key}: ${err.message}`);
+      }
+    }
+    if (pending.some((change) => change.applied)) {
+      report(`Undo with "jfrog-scan block --rollback ${cmdOpts.rollbackFile}"`);
+    }
+  } else if (!cmdOpts.apply && pending.length > 0) {
+    report('Run again with --apply to update the repositories.');
+  }
+
+  if (opts.format === 'json') {
+    console.log(JSON.stringify({ patterns, skipped, repositories: changes, errors }, null, 2));
+  }
+  return errors.length > 0 ? EXIT_ERROR : EXIT_CLEAN;
+};
+
+const assertManifestFailOn = (opts) => {
+  if (opts.failOn === 'cached') {
+    throw new Error('--fail-on cached only applies to Artifactory scans');
+  }
+};
+
+// Exit code for GitHub/local results: findings at or above --fail-on, then scan errors
+const manifestExitCode = (opts, results) => {
+  if (opts.failOn) {
+    const levels = SEVERITIES.slice(0, SEVERITIES.indexOf(opts.failOn) + 1);
+    // A compromised version locked at any point in the --since window counts as critical
+    if (results.some((r) => levels.some((level) => r[level].length > 0) || r.exposures?.length > 0)) return EXIT_FINDINGS;
+  }
+  return results.some((r) => r.errors.length > 0) ? EXIT_ERROR : EXIT_CLEAN;
+};
+
+// Exit code for Artifactory results: a cached compromised tarball (optionally only one
+// downloaded on/after --downloaded-after) with --fail-on cached, then lookup errors
+const artifactoryExitCode = (opts, results) => {
+  if (opts.failOn === 'cached') {
+    const hit = results.some((r) => r.existsInCache
+      && (!opts.downloadedAfter || (r.lastDownloaded && new Date(r.lastDownloaded) >= opts.downloadedAfter)));
+    if (hit) return EXIT_FINDINGS;
+  }
+  return results.some((r) => r.error) ? EXIT_ERROR : EXIT_CLEAN;
 };
 
-// GitHub organization scanning
-const runGitHubScan = async (opts, specs) => {
+// GitHub, GitLab and Bitbucket scanning (one scanner per org, group, project or user)
+const runHostScan = async (opts, specs) => {
+  const results = await scanHosts(opts, specs);
+  printManifestResults(opts, results);
+  return manifestExitCode(opts, results);
+};
+
+// Scan every requested org, group, project and user; returns the manifest results
+const scanHosts = async (opts, specs) => {
   // Rate limit handler
-  const onRateLimit = opts.json ? null : (info) => {
-    process.stderr.write(`\n⏳ Rate limited. Waiting ${info.retryAfter}s (attempt ${info.retryCount + 1})...\n`);
+  const onRateLimit = opts.format !== 'table' ? null : (info) => {
+    const reason = info.type === 'retry' ? 'Request failed' : 'Rate limited';
+    process.stderr.write(`\n⏳ ${reason}. Waiting ${info.retryAfter}s (attempt ${info.retryCount + 1})...\n`);
   };
 
-  const scanner = new GitHubScanner({
-    token: opts.githubToken,
-    org: opts.githubOrg,
+  // A resumed checkpoint keeps being appended to
+  const checkpoint = opts.resume
+    ? await new ScanCheckpoint({ path: opts.resume }).resume(specs, { since: opts.since })
+    : opts.checkpoint ? await new ScanCheckpoint({ path: opts.checkpoint }).start(specs, { since: opts.since }) : null;
+
+  const manifestCache = opts.manifestCache
+    ? new ManifestCache({ dir: opts.manifestCache === true ? defaultManifestCacheDir() : opts.manifestCache })
+    : null;
+
+  const app = opts.githubAppId && {
+    appId: opts.githubAppId,
+    privateKey: await readFile(opts.githubAppPrivateKey, 'utf8'),
+    ...(opts.githubAppInstallationId && { installationId: opts.githubAppInstallationId }),
+  };
+  const scannerOptions = {
     onRateLimit,
-  });
+    maxRetries: opts.maxRetries,
+    branchMode: opts.defaultBranchOnly ? 'default' : opts.allBranches ? 'all' : 'patterns',
+    branchPatterns: opts.branch,
+    pullRequests: opts.pullRequests,
+    since: opts.since,
+    strategy: opts.strategy,
+    concurrency: opts.githubConcurrency,
+    checkpoint,
+    manifestCache,
+    repoFilter: {
+      names: opts.reposFile ? await readReposFile(opts.reposFile) : undefined,
+      include: opts.repoInclude,
+      exclude: opts.repoExclude,
+      topics: opts.topic,
+      excludeTopics: opts.excludeTopic,
+      languages: opts.language,
+      archived: opts.archived,
+      forks: opts.forks,
+      templates: opts.templates,
+      visibility: opts.visibility,
+      pushedAfter: opts.pushedAfter,
+    },
+  };
+  const github = { ...scannerOptions, token: opts.githubToken, app, baseUrl: opts.githubApiUrl };
+  const gitlab = { ...scannerOptions, token: opts.gitlabToken, baseUrl: opts.gitlabUrl };
+  const bitbucket = { ...scannerOptions, token: opts.bitbucketToken, username: opts.bitbucketUsername, baseUrl: opts.bitbucketUrl };
+  const scanners = [
+    ...opts.githubOrg.map((org) => new GitHubScanner({ ...github, org })),
+    ...opts.githubUser.map((user) => new GitHubScanner({ ...github, user })),
+    ...opts.gitlabGroup.map((group) => new GitLabScanner({ ...gitlab, group })),
+    ...opts.gitlabUser.map((user) => new GitLabScanner({ ...gitlab, user })),
+    ...opts.bitbucketProject.map((project) => new BitbucketScanner({ ...bitbucket, project })),
+  ];
 
-  const onProgress = opts.json ? null : (info) => {
-    if (info.type === 'repo') {
+  let skipped = 0;
+  let resumed = 0;
+  const onProgress = opts.format !== 'table' ? null : (info) => {
+    if (info.type === 'repos') {
+      process.stderr.write(`Scanning ${info.selected} of ${info.total} repositories in ${info.owner}\n`);
+    } else if (info.type === 'code-search') {
+      process.stderr.write(info.repos === null
+        ? 'Code search matched too many files to prefilter; scanning every repository\n'
+        : `Code search found compromised package names in ${info.repos} repositories\n`);
+    } else if (info.type === 'skip') {
+      skipped++;
+    } else if (info.type === 'resumed') {
+      resumed++;
+    } else if (info.type === 'repo') {
       process.stderr.write(`\rScanning ${info.name}...`.padEnd(60));
     }
   };
 
-  const results = await scanner.scanOrg(specs, onProgress);
-  if (!opts.json) process.stderr.write('\r'.padEnd(60) + '\r');
+  const results = [];
+  for (const scanner of scanners) {
+    results.push(...(await scanner.scanOrg(specs, onProgress)));
+  }
+  if (opts.format === 'table') process.stderr.write('\r'.padEnd(60) + '\r');
+  if (manifestCache && opts.format === 'table') {
+    process.stderr.write(`Manifest cache: ${manifestCache.hits} reused, ${manifestCache.misses} downloaded\n`);
+  }
+  if (resumed > 0) process.stderr.write(`Reused ${resumed} repositories from checkpoint ${opts.resume}\n`);
+  if (skipped > 0) process.stderr.write(`Skipped ${skipped} repositories without compromised package names (${opts.strategy})\n`);
+  return results;
+};
+
+// Local directory scanning
+const runLocalScan = async (opts, specs) => {
+  const scanner = new LocalScanner({ root: opts.scanDir });
+
+  const onProgress = opts.format !== 'table' ? null : (info) => {
+    process.stderr.write(`\rScanning ${info.name}...`.padEnd(60));
+  };
 
+  const results = await scanner.scanDirectory(specs, { installed: opts.scanInstalled, onProgress });
+  if (opts.format === 'table') process.stderr.write('\r'.padEnd(60) + '\r');
+
+  printManifestResults(opts, results);
+  return manifestExitCode(opts, results);
+};
+
+// "real (as alias)" for dependencies installed under an npm: alias
+const declaredName = (m) => (m.alias ? `${m.name} (as ${m.alias})` : m.name);
+
+// Manifest key path of a package.json finding, or the command line in a workflow/Dockerfile
+const declaredWhere = (m) => m.declaredIn ?? `line ${m.line}: ${m.command}`;
+
+// "abc1234 2026-09-08 Jane Doe" for a history commit
+const describeCommit = (commit) => `${commit.sha.slice(0, 7)} ${commit.date?.slice(0, 10) ?? ''} ${commit.author.login ?? commit.author.name ?? commit.author.email}`;
+
+// "gitlab:group/project@branch:path/to/package-lock.json" (GitHub results have no prefix;
+// the root package.json is just the repo and branch)
+const resultLocation = (result) => {
+  const repoName = result.owner ? `${result.platform === 'github' ? '' : `${result.platform}:`}${result.owner}/${result.repo}` : result.repo;
+  const repoRef = result.branch ? `${repoName}@${result.branch}` : repoName;
+  return !result.path || result.path === 'package.json' ? repoRef : `${repoRef}:${result.path}`;
+};
+
+// Shared output for GitHub and local manifest scans
+const printManifestResults = (opts, results) => {
   // Filter to only results with findings
   const withFindings = results.filter(
-    (r) => r.critical.length > 0 || r.danger.length > 0 || r.caution.length > 0 || r.errors.length > 0
+    (r) => r.critical.length > 0 || r.danger.length > 0 || r.caution.length > 0 || r.errors.length > 0 || r.exposures?.length > 0
   );
 
-  if (opts.json) {
+  if (opts.format === 'json') {
     console.log(JSON.stringify(withFindings, null, 2));
     return;
   }
 
+  if (opts.format === 'sarif') {
+    console.log(JSON.stringify(toSarif(withFindings), null, 2));
+    return;
+  }
+
   if (withFindings.length === 0) {
-    console.log('No compromised packages found in any repository.');
+    console.log('No compromised packages found.');
     return;
   }
 
   // Table output
   for (const result of withFindings) {
-    const location = result.path === 'package.json' 
-      ? `${result.repo}@${result.branch}` 
-      : `${result.repo}@${result.branch}:${result.path}`;
-    console.log(`\n${location}:`);
+    console.log(`\n${resultLocation(result)}:${result.pullRequest ? ` (PR #${result.pullRequest.number}: ${result.pullRequest.title})` : ''}${result.since ? ` (history since ${result.since.slice(0, 10)})` : ''}`);
+
+    if (result.exposures?.length > 0) {
+      console.log('  🕓 EXPOSURE (lockfile pinned a compromised version):');
+      for (const e of result.exposures) {
+        const range = e.compromisedRange ? ` [compromised: ${e.compromisedRange}]` : '';
+        console.log(`    - ${e.name}@${e.version}${range}`);
+        console.log(`      introduced: ${e.introduced ? `${describeCommit(e.introduced)}: ${e.introduced.message}` : 'before the window'}`);
+        console.log(`      removed:    ${e.removed ? `${describeCommit(e.removed)}: ${e.removed.message}` : 'still locked'}`);
+      }
+    }
     
     if (result.critical.length > 0) {
-      console.log('  🔴 CRITICAL (lockfile points to compromised version - project was compromised):');
+      console.log(result.installed
+        ? '  🔴 CRITICAL (compromised version is installed):'
+        : result.entryPoint
+        ? `  🔴 CRITICAL (${result.entryPoint === 'dockerfile' ? 'Dockerfile' : 'workflow'} runs a compromised version):`
+        : '  🔴 CRITICAL (lockfile points to compromised version - project was compromised):');
       for (const m of result.critical) {
-        console.log(`    - ${m.name}@${m.version}`);
+        const range = m.compromisedRange ? ` [compromised: ${m.compromisedRange}]` : '';
+        const kinds = dependencyKinds(m);
+        console.log(`    - ${m.name}@${m.version}${range}${m.location ? ` (${m.location})` : ''}${kinds.length > 0 ? ` [${kinds.join(', ')}]` : ''}`);
+        if (m.dependencyPath) console.log(`      via ${m.dependencyPath.join(' > ')}`);
+        if (m.command) console.log(`      line ${m.line}: ${m.command}`);
       }
     }
     
     if (result.danger.length > 0) {
       console.log('  🟠 DANGER (semver range could install compromised version):');
       for (const m of result.danger) {
-        console.log(`    - ${m.name}: "${m.range}" matches ${m.matchedVersion}`);
+        console.log(`    - ${declaredName(m)}: "${m.range}" matches ${m.matchedVersion} (${declaredWhere(m)})`);
       }
     }
     
     if (result.caution.length > 0) {
       console.log('  🟡 CAUTION (package name matches but semver excludes compromised versions):');
       for (const m of result.caution) {
-        console.log(`    - ${m.name}: "${m.range}" (compromised: ${m.compromisedVersions})`);
+        console.log(`    - ${declaredName(m)}: "${m.range}" (compromised: ${m.compromisedVersions}) (${declaredWhere(m)})`);
       }
     }
     
@@ -164,41 +748,210 @@ const runGitHubScan = async (opts, specs) => {
   console.log(`  🔴 CRITICAL: ${criticalCount} (lockfile matches - definitely compromised)`);
   console.log(`  🟠 DANGER:   ${dangerCount} (semver could match - potentially compromised)`);
   console.log(`  🟡 CAUTION:  ${cautionCount} (name matches - safe but watch for updates)`);
+  const exposureCount = withFindings.reduce((sum, r) => sum + (r.exposures?.length ?? 0), 0);
+  if (withFindings.some((r) => r.since)) {
+    console.log(`  🕓 EXPOSURE: ${exposureCount} (compromised version locked at some point since --since)`);
+  }
+};
+
+// One client for the whole run, so the concurrency limit applies across all specs and repos
+const createArtifactoryClient = (opts) => {
+  const onRetry = opts.format !== 'table' ? null : (info) => {
+    const reason = info.status ? `HTTP ${info.status}` : info.message;
+    process.stderr.write(`\n⏳ ${reason}. Retrying in ${Math.ceil(info.delay / 1000)}s (attempt ${info.attempt})...\n`);
+  };
+
+  return new ArtifactoryClient({
+    baseUrl: opts.baseUrl,
+    repository: opts.repo[0],
+    username: opts.username,
+    password: opts.password,
+    accessToken: opts.token,
+    concurrency: opts.concurrency,
+    maxRetries: opts.maxRetries,
+    onRetry,
+  });
+};
+
+// The --repo repositories, plus every npm repository with --all-npm-repos
+const artifactoryRepos = async (opts, client) => {
+  const repos = new Set(opts.repo);
+  if (opts.allNpmRepos) {
+    (await client.listNpmRepositories()).forEach((r) => repos.add(r));
+    if (!repos.size) throw new Error('No npm repositories found (check credentials and permissions)');
+  }
+  return repos;
+};
+
+// Repository scan joined with Artifactory cache lookups of each finding's version
+const runExposureReport = async (opts, specs) => {
+  const results = await scanHosts(opts, specs);
+
+  const client = createArtifactoryClient(opts);
+  const repos = await artifactoryRepos(opts, client);
+  const findings = findingSpecs(results);
+  if (opts.format === 'table' && findings.length > 0) {
+    process.stderr.write(`Looking up ${findings.length} compromised versions in ${repos.size} Artifactory repositories\n`);
+  }
+  const cacheResults = await checkFindingsInCache(client, repos, findings);
+  const report = buildExposureReport(results, cacheResults);
+
+  const errors = [
+    ...results.flatMap((r) => r.errors.map((e) => `${resultLocation(r)}: ${e}`)),
+    ...cacheResults.filter((r) => r.error).map((r) => `${r.repository}: ${r.package}@${r.version}: ${r.error}`),
+  ];
+  printExposureReport(opts, report, errors);
+
+  // --fail-on cached: a finding whose tarball the proxy holds (downloaded on/after
+  // --downloaded-after); other levels as for a plain repository scan
+  if (opts.failOn === 'cached') {
+    const hit = report.some((entry) => entry.cached.some((c) => !opts.downloadedAfter
+      || (c.lastDownloaded && new Date(c.lastDownloaded) >= opts.downloadedAfter)));
+    if (hit) return EXIT_FINDINGS;
+    return errors.length > 0 ? EXIT_ERROR : EXIT_CLEAN;
+  }
+  const exitCode = manifestExitCode(opts, results);
+  return exitCode === EXIT_CLEAN && errors.length > 0 ? EXIT_ERROR : exitCode;
+};
+
+const RISK_LABELS = {
+  critical: '🔴 CRITICAL',
+  high: '🟠 HIGH',
+  medium: '🟡 MEDIUM',
+  low: '⚪ LOW',
+};
+
+const printExposureReport = (opts, report, errors) => {
+  if (opts.format === 'json') {
+    console.log(JSON.stringify({ report, errors }, null, 2));
+    return;
+  }
+
+  if (report.length === 0) {
+    console.log('No compromised packages found.');
+  } else {
+    console.log('Exposure report (most at risk first):');
+  }
+  for (const entry of report) {
+    const declared = entry.range ? ` ("${entry.range}"${entry.declaredIn ? ` in ${entry.declaredIn}` : ''})` : '';
+    console.log(`\n${RISK_LABELS[entry.risk]}  ${entry.name}@${entry.version}${declared}  ${resultLocation(entry)}`);
+    if (entry.cached.length === 0) {
+      console.log('    not in the Artifactory cache');
+    }
+    for (const c of entry.cached) {
+      const repo = c.resolvedRepo ? `${c.repository} (${c.resolvedRepo})` : c.repository;
+      const by = c.lastDownloadedBy ? ` by ${c.lastDownloadedBy}` : '';
+      // A range finding lists each cached version in the range
+      const version = c.version !== entry.version ? `${entry.name}@${c.version} ` : '';
+      console.log(`    ${repo}: ${version}last downloaded ${c.lastDownloaded ?? 'never'}${by}, ${c.downloadCount ?? 0} downloads`);
+    }
+  }
+
+  if (errors.length > 0) {
+    console.log('\n⚠️  ERRORS:');
+    for (const e of errors) console.log(`    - ${e}`);
+  }
+
+  console.log(`\nSummary across ${report.length} findings:`);
+  const count = (risk) => report.filter((entry) => entry.risk === risk).length;
+  console.log(`  ${RISK_LABELS.critical}: ${count('critical')} (lockfile pins it and the proxy served it)`);
+  console.log(`  ${RISK_LABELS.high}:     ${count('high')} (lockfile pins it; not in the proxy cache)`);
+  console.log(`  ${RISK_LABELS.medium}:   ${count('medium')} (range allows it and the proxy served it)`);
+  console.log(`  ${RISK_LABELS.low}:      ${count('low')} (range allows it; not in the proxy cache)`);
 };
 
 // Artifactory cache scanning
 const runArtifactoryScan = async (opts, specs) => {
-  const results = await Promise.all(
-    specs.map((spec) =>
-      new ArtifactoryClient({
-        baseUrl: opts.baseUrl,
-        repository: opts.repo,
-        username: opts.username,
-        password: opts.password,
-        accessToken: opts.token,
-      }).checkCache(spec),
-    ),
-  );
+  const client = createArtifactoryClient(opts);
+  const repos = await artifactoryRepos(opts, client);
+
+  const results = [];
+  for (const repo of repos) {
+    results.push(...(opts.aql
+      ? await checkCacheWithAql(opts, client, specs, repo)
+      : await checkCacheBySpec(opts, client, specs, repo)));
+  }
+  const exitCode = artifactoryExitCode(opts, results);
 
-  if (opts.json) {
+  if (opts.format === 'json') {
     console.log(JSON.stringify(results, null, 2));
-    return;
+    return exitCode;
   }
 
-  const header = ['package', 'inCache', 'lastDownloaded', 'downloadCount', 'error'];
+  const header = ['repository', 'package', 'inCache', 'lastDownloaded', 'downloadCount', 'error'];
   const rows = results.map((r) => [
-    `${r.package}@${r.version}`,
+    r.resolvedRepo && r.resolvedRepo !== r.repository ? `${r.repository} (${r.resolvedRepo})` : r.repository,
+    `${r.package}@${r.version}${r.compromisedRange ? ` (${r.compromisedRange})` : ''}`,
     r.existsInCache ? 'yes' : 'no',
     r.lastDownloaded ?? '-',
     r.additional?.downloadCount ?? '-',
     r.error ?? '-',
   ]);
+  if (opts.aql) {
+    header.push('otherCachedVersions');
+    results.forEach((r, i) => rows[i].push(r.otherCachedVersions.map((v) => v.version).join(', ') || '-'));
+  }
   const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => String(row[i]).length)));
   const printRow = (cols) => cols.map((c, i) => String(c).padEnd(widths[i])).join('  ');
 
   console.log(printRow(header));
   console.log(widths.map((w) => '-'.repeat(w)).join('  '));
   rows.forEach((row) => console.log(printRow(row)));
+  return exitCode;
+};
+
+// Probe each spec's tarball path (storage + stats call per spec). Range specs are first
+// expanded against the versions cached for that package.
+const checkCacheBySpec = async (opts, client, specs, repo) => {
+  let done = 0;
+  const results = await Promise.all(
+    specs.map(async (spec) => {
+      const { name, version } = parseSpec(spec);
+      const specResults = isRangeSpec(version)
+        ? await client.checkCachedRange(name, version, repo)
+        : [await client.checkCache(spec, repo)];
+      done++;
+      if (opts.format === 'table') process.stderr.write(`\r${repo}: checking ${done}/${specs.length} packages...`.padEnd(60));
+      return specResults;
+    }),
+  );
+  if (opts.format === 'table') process.stderr.write('\r'.padEnd(60) + '\r');
+  return results.flat();
+};
+
+// Find every cached version of each package with batched AQL queries. Besides the
+// compromised versions (and cached versions inside compromised ranges), reports the
+// other cached versions a floating range could pull.
+const checkCacheWithAql = async (opts, client, specs, repo) => {
+  const compromisedMap = buildCompromisedMap(specs);
+  if (opts.format === 'table') process.stderr.write(`\r${repo}: querying cached versions of ${compromisedMap.size} packages...`);
+  // AQL searches physical repositories, so map virtual repos to their members' caches
+  const storageRepos = await client.resolveStorageRepos(repo);
+  const cached = await client.findCachedVersions([...compromisedMap.keys()], { batchSize: opts.aqlBatchSize, repos: storageRepos });
+  if (opts.format === 'table') process.stderr.write('\r'.padEnd(60) + '\r');
+
+  const results = [];
+  for (const [name, versions] of compromisedMap) {
+    const { versions: found, error } = cached.get(name);
+    if (error) {
+      versions.forEach((version) => results.push({ repository: repo, package: name, version, existsInCache: false, error }));
+      continue;
+    }
+    const otherCachedVersions = found
+      .filter((v) => !matchCompromisedVersion(versions, v.version))
+      .map((v) => ({ version: v.version, lastDownloaded: v.lastDownloaded, downloadCount: v.additional.downloadCount }));
+    for (const version of versions) {
+      if (isRangeSpec(version)) {
+        const hits = found.filter((v) => matchCompromisedVersion(new Set([version]), v.version));
+        hits.forEach((hit) => results.push({ repository: repo, ...hit, compromisedRange: version, otherCachedVersions }));
+        if (hits.length === 0) results.push({ repository: repo, package: name, version, existsInCache: false, otherCachedVersions });
+        continue;
+      }
+      const hit = found.find((v) => v.version === version);
+      results.push({ repository: repo, ...(hit ?? { package: name, version, existsInCache: false }), otherCachedVersions });
+    }
+  }
+  return results;
 };
 
 // Extract package names and versions from CSV format (supports both Wiz and JFrog formats)
@@ -216,7 +969,7 @@ const extractImpactedFromCsv = (csvContent) => {
     if (!trimmed || trimmed.startsWith('package_name,') || trimmed.startsWith('Package,')) continue;
     
     // Try JFrog format first: package_name,npm,[versions],xray_id
-    const jfrogMatch = trimmed.match(/^([^,]+),([^,]+),("?\[.+?\]"?),/);
+    const jfrogMatch = trimmed.match(/^([^,]+),([^,]+),("[^"]*[\])]"|[[(][^,\])]*[\])]),/);
     if (jfrogMatch) {
       const name = jfrogMatch[1].trim();
       const packageType = jfrogMatch[2].trim();
@@ -230,12 +983,13 @@ const extractImpactedFromCsv = (csvContent) => {
         versionsStr = versionsStr.slice(1, -1);
       }
       
-      // Extract versions from format like "[1.0.1], [1.0.2]" or "[1.0.1]"
-      const versionMatches = versionsStr.match(/\[([^\]]+)\]/g);
+      // Extract versions from format like "[1.0.1], [1.0.2]" or "[1.0.1]", or Xray
+      // interval notation like "[1.0.0,1.2.0)" / "(,2.0.3]"
+      const versionMatches = versionsStr.match(/[[(][^\])]*[\])]/g);
       if (versionMatches) {
         versionMatches.forEach((vm) => {
-          const v = vm.replace(/^\[|\]$/g, '').trim();
-          if (v && /^[0-9]/.test(v)) {
+          const v = intervalToRange(vm);
+          if (v) {
             results.push(`${name}@${v}`);
           }
         });
@@ -247,18 +1001,17 @@ const extractImpactedFromCsv = (csvContent) => {
     const wizMatch = trimmed.match(/^([^,]+),(.+)$/);
     if (wizMatch) {
       const name = wizMatch[1].trim();
-      const versionsStr = wizMatch[2].trim();
+      const versionsStr = wizMatch[2].trim().replace(/^"|"$/g, '');
       
-      // Extract versions from format like "= 1.0.1 || = 1.0.2" or "= 1.0.1"
-      const versionMatches = versionsStr.match(/=\s*([0-9][0-9a-zA-Z._-]*)/g);
-      if (versionMatches) {
-        versionMatches.forEach((vm) => {
-          const v = vm.replace(/^=\s*/, '').trim();
-          if (v && /^[0-9]/.test(v)) {
-            results.push(`${name}@${v}`);
-          }
-        });
-      }
+      // Extract versions from format like "= 1.0.1 || = 1.0.2" or "= 1.0.1"; other
+      // alternatives (">= 4.2.0 < 4.2.3", "*") are kept as semver ranges
+      versionsStr.split('||').forEach((alt) => {
+        const exact = alt.trim().match(/^=\s*([0-9][0-9a-zA-Z._-]*)$/);
+        const v = exact ? exact[1] : comparatorsToRange(alt);
+        if (v) {
+          results.push(`${name}@${v}`);
+        }
+      });
     }
   }
   
@@ -267,6 +1020,27 @@ const extractImpactedFromCsv = (csvContent) => {
   return results.filter((spec) => (seen.has(spec) ? false : (seen.add(spec), true)));
 };
 
+// Convert an Xray version interval to a version or semver range
+//   [1.0.1] -> 1.0.1    [1.0.0,1.2.0) -> >=1.0.0 <1.2.0    (,2.0.3] -> <=2.0.3    (,) -> *
+const intervalToRange = (interval) => {
+  const inner = interval.slice(1, -1).trim();
+  if (!inner.includes(',')) {
+    return /^[0-9]/.test(inner) ? inner : null;
+  }
+  const [lower, upper] = inner.split(',').map((v) => v.trim());
+  const range = [
+    lower && `${interval.startsWith('[') ? '>=' : '>'}${lower}`,
+    upper && `${interval.endsWith(']') ? '<=' : '<'}${upper}`,
+  ].filter(Boolean).join(' ');
+  return range ? (validRange(range) ? range : null) : '*';
+};
+
+// Convert comparator text like ">= 4.2.0 < 4.2.3" or "*" to a semver range, or null
+const comparatorsToRange = (text) => {
+  const range = text.trim().replace(/(>=|<=|>|<|=)\s+/g, '$1');
+  return range && validRange(range) ? range : null;
+};
+
 // Extract package names and versions from text content (supports Wiz and JFrog list formats)
 const extractImpactedFromText = (textContent) => {
   const results = [];
@@ -345,7 +1119,7 @@ const readStdinImpactedPackages = async () => {
     .filter(Boolean)
     .map((spec) => {
       const atIndex = spec.lastIndexOf('@');
-      if (atIndex <= 0) throw new Error(`Invalid package specifier: ${spec}. Use name@version`);
+      if (atIndex <= 0) throw new Error(`Invalid package specifier: ${spec}. Use name@version or name@range`);
       const name = spec.slice(0, atIndex);
       const version = spec.slice(atIndex + 1);
       if (!version) throw new Error(`Missing version in specifier: ${spec}`);
@@ -353,7 +1127,45 @@ const readStdinImpactedPackages = async () => {
     });
 };
 
-main().catch((err) => {
+// Repository list for --repos-file: one name or owner/name per line, # comments allowed
+const readReposFile = async (path) => {
+  const names = (await readFile(path, 'utf8'))
+    .split('\n')
+    .map((l) => l.replace(/#.*$/, '').trim())
+    .filter(Boolean);
+  if (names.length === 0) throw new Error(`No repositories listed in ${path}`);
+  return names;
+};
+
+const parseVisibility = (val, acc) => {
+  if (!['public', 'private', 'internal'].includes(val)) {
+    throw new InvalidArgumentError('Allowed choices are public, private, internal.');
+  }
+  return [...acc, val];
+};
+
+const parsePositiveInt = (val, name) => {
+  const n = Number(val);
+  if (!Number.isInteger(n) || n < 1) throw new InvalidArgumentError(`${name} must be a positive integer`);
+  return n;
+};
+
+const parseNonNegativeInt = (val, name) => {
+  const n = Number(val);
+  if (!Number.isInteger(n) || n < 0) throw new InvalidArgumentError(`${name} must be a non-negative integer`);
+  return n;
+};
+
+const parseDate = (val) => {
+  const date = new Date(val);
+  if (Number.isNaN(date.getTime())) throw new InvalidArgumentError(`Invalid date: ${val}`);
+  return date;
+};
+
+// Set exitCode rather than calling process.exit() so piped output is fully flushed
+main().then((code) => {
+  process.exitCode = code;
+}).catch((err) => {
   console.error(err);
-  process.exit(1);
+  process.exitCode = EXIT_ERROR;
 });
@@ -0,0 +1,67 @@
+import { Range, intersects, satisfies, valid, validRange } from 'semver';
+
+// Compromised entries are name@<spec>, where <spec> is an exact version ("1.2.3"),
+// a semver range (">=4.2.0 <4.2.3", "^1.0.0 || 2.0.1") or "*" for every version
+// (e.g. a typosquat). Prereleases inside a range count as compromised.
+const RANGE_OPTIONS = { includePrerelease: true };
+
+// Exact versions are compared as strings; anything else that parses as a range is a range
+export const isRangeSpec = (spec) => !valid(spec) && validRange(spec, RANGE_OPTIONS) !== null;
+
+// "*" (or "x"): every version of the package is compromised
+export const isEveryVersion = (spec) => validRange(spec, RANGE_OPTIONS) === '*';
+
+// The versions of an exact spec ("1.2.3") or a union of exact versions ("1.2.3 || =1.2.4");
+// null for any other range
+export const exactVersions = (spec) => {
+  if (valid(spec)) return [spec];
+  if (!isRangeSpec(spec) || isEveryVersion(spec)) return null;
+  const sets = new Range(spec, RANGE_OPTIONS).set;
+  if (!sets.every((set) => set.length === 1 && set[0].operator === '')) return null;
+  return sets.map(([comparator]) => comparator.semver.version);
+};
+
+// Split "name@spec" (name may be scoped) at the last '@'
+export const parseSpec = (spec) => {
+  const atIndex = spec.lastIndexOf('@');
+  if (atIndex <= 0) return null;
+  return { name: spec.slice(0, atIndex), version: spec.slice(atIndex + 1) };
+};
+
+// Return the compromised spec that a concrete (installed/locked) version matches, or null
+export const matchCompromisedVersion = (badSpecs, version) => {
+  if (badSpecs.has(version)) return version;
+  for (const spec of badSpecs) {
+    if (isRangeSpec(spec) && valid(version) && satisfies(version, spec, RANGE_OPTIONS)) return spec;
+  }
+  return null;
+};
+
+// Return the compromised spec that a dependency range could resolve to, or null.
+// Exact compromised versions must satisfy the range; compromised ranges must intersect it.
+export const matchCompromisedRange = (badSpecs, range) => {
+  for (const spec of badSpecs) {
+    try {
+      if (valid(spec) ? satisfies(spec, range) : isRangeSpec(spec) && intersects(range, spec, RANGE_OPTIONS)) {
+        return spec;
+      }
+    } catch {
+      // Invalid semver range (git URL, file:, tag...), skip
+    }
+  }
+  return null;
+};
+
+// Build a compromised package map from specs: name -> Set of versions/ranges
+export function buildCompromisedMap(specs) {
+  const map = new Map();
+  for (const spec of specs) {
+    const parsed = parseSpec(spec);
+    if (!parsed || !parsed.version) continue;
+    if (!map.has(parsed.name)) {
+      map.set(parsed.name, new Set());
+    }
+    map.get(parsed.name).add(parsed.version);
+  }
+  return map;
+}
@@ -0,0 +1,25 @@
+// Limit how many async tasks run at once; extra tasks wait in FIFO order
+export const createLimiter = (limit) => {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -0,0 +1,118 @@
+// Files outside package.json and lockfiles that install or run npm packages: GitHub
+// Actions workflows, composite actions and Dockerfiles. Compromised packages there run in
+// CI with its secrets, without ever appearing in a lockfile.
+
+// 'workflow' or 'dockerfile' for files worth checking, otherwise null
+export const entryPointType = (path) => {
+  const fileName = path.split('/').pop();
+  if (/^\.github\/workflows\/[^/]+\.ya?ml$/.test(path) || /^action\.ya?ml$/.test(fileName)) return 'workflow';
+  if (/^(Dockerfile|Containerfile)(\..+)?$/.test(fileName) || /\.(Dockerfile|dockerfile)$/.test(fileName)) return 'dockerfile';
+  return null;
+};
+
+const NPM_INSTALL_COMMANDS = new Set(['install', 'i', 'add', 'isntall', 'in']);
+const NPM_EXEC_COMMANDS = new Set(['exec', 'x']);
+// Shell operators that end a command
+const SEPARATOR_RE = /^(&&|\|\||;|\||>|>>|<|2>|&)$/;
+const PACKAGE_NAME_RE = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+// npm/npx options that take a value (which is not a package)
+const VALUE_OPTIONS = new Set(['-c', '--call', '--cache', '--prefix', '--registry', '--userconfig', '-w', '--workspace', '-C']);
+
+// Split content into shell words with their 1-based line numbers. Lines ending in "\"
+// continue the command; separators end it.
+const tokenize = (content) => {
+  const commands = [];
+  let current = [];
+  content.split('\n').forEach((text, index) => {
+    const continued = /\\\s*$/.test(text);
+    for (const raw of text.replace(/\\\s*$/, '').split(/\s+/)) {
+      if (raw.startsWith('#')) break; // Comment
+      // "foo@1;" and "foo@1&&" end a command too
+      const [, word, separator] = raw.match(/^(.*?)(;|&&|\|\|)?$/);
+      // Quotes, and the brackets and commas of exec-form RUN ["npm", "i", "foo"]
+      const token = word.replace(/^[["']+|[\]"',]+$/g, '');
+      if (token) current.push({ token, line: index + 1 });
+      if (separator || SEPARATOR_RE.test(token)) {
+        commands.push(current);
+        current = [];
+      }
+    }
+    if (!continued) {
+      commands.push(current);
+      current = [];
+    }
+  });
+  commands.push(current);
+  return commands.filter((words) => words.length > 0);
+};
+
+// "foo", "foo@1.2.3", "@scope/foo@^1", "alias@npm:real@1" -> { name, spec } (spec is the
+// version, range or tag; null when unpinned). null for paths, URLs, git and variables.
+const parsePackageArg = (arg) => {
+  const at = arg.indexOf('@', 1);
+  let name = at === -1 ? arg : arg.slice(0, at);
+  let spec = at === -1 ? null : arg.slice(at + 1);
+  if (spec?.startsWith('npm:')) {
+    const target = spec.slice('npm:'.length);
+    const targetAt = target.indexOf('@', 1);
+    name = targetAt === -1 ? target : target.slice(0, targetAt);
+    spec = targetAt === -1 ? null : target.slice(targetAt + 1);
+  }
+  if (!PACKAGE_NAME_RE.test(name) || spec?.includes('$')) return null;
+  return { name, spec: spec || null };
+};
+
+// Packages installed or run by npx, npm exec and npm install/i/add (including -g) in a
+// workflow or Dockerfile: [{ name, spec, line, command }]
+export function findNpmInvocations(content) {
+  const invocations = [];
+  for (const words of tokenize(content)) {
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i].token;
+      let args = null;
+      let execPackageOnly = false;
+      if (word === 'npx') {
+        args = words.slice(i + 1);
+        execPackageOnly = true;
+      } else if (word === 'npm' && NPM_EXEC_COMMANDS.has(words[i + 1]?.token)) {
+        args = words.slice(i + 2);
+        execPackageOnly = true;
+      } else if (word === 'npm' && NPM_INSTALL_COMMANDS.has(words[i + 1]?.token)) {
+        args = words.slice(i + 2);
+      }
+      if (!args) continue;
+
+      // npx runs its first positional argument, or with --package/-p installs those and
+      // runs the positional argument as a command; npm install takes every positional one
+      const packages = [];
+      let packageOption = false;
+      for (let j = 0; j < args.length; j++) {
+        const { token } = args[j];
+        if (token === '--') break;
+        if (token === '-p' || token === '--package') {
+          packageOption = true;
+          if (args[j + 1]) packages.push(args[++j]);
+        } else if (token.startsWith('--package=')) {
+          packageOption = true;
+          packages.push({ ...args[j], token: token.slice('--package='.length) });
+        } else if (VALUE_OPTIONS.has(token)) {
+          j++;
+        } else if (!token.startsWith('-')) {
+          if (execPackageOnly) {
+            if (!packageOption) packages.push(args[j]);
+            break;
+          }
+          packages.push(args[j]);
+        }
+      }
+
+      const command = words.slice(i).map((w) => w.token).join(' ');
+      for (const { token, line } of packages) {
+        const parsed = parsePackageArg(token);
+        if (parsed) invocations.push({ ...parsed, line, command });
+      }
+      break;
+    }
+  }
+  return invocations;
+}
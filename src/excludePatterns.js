@@ -0,0 +1,63 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { tarballPath } from './artifactoryClient.js';
+import { exactVersions, isEveryVersion, parseSpec } from './compromised.js';
+
+// Artifactory repository exclude patterns (Ant-style, relative to the repository root)
+// that stop a repository from serving compromised tarballs. npm still sees the versions in
+// the package metadata, but installing one fails instead of fetching the tarball.
+
+// One pattern per compromised tarball ("@scope/name/-/name-1.2.3.tgz"), or per package
+// for "*" ("name/-/name-*.tgz"). Other ranges have no pattern; they are returned as
+// skipped: { patterns, skipped: [{ spec, reason }] }
+export function excludePatterns(specs) {
+  const patterns = new Set();
+  const skipped = [];
+  for (const spec of specs) {
+    const parsed = parseSpec(spec);
+    if (!parsed?.version) {
+      skipped.push({ spec, reason: 'not a name@version spec' });
+      continue;
+    }
+    const versions = isEveryVersion(parsed.version) ? ['*'] : exactVersions(parsed.version);
+    if (!versions) {
+      skipped.push({ spec, reason: 'semver ranges cannot be expressed as exclude patterns; list the versions instead' });
+      continue;
+    }
+    versions.forEach((version) => patterns.add(tarballPath(parsed.name, version)));
+  }
+  return { patterns: [...patterns], skipped };
+}
+
+// Split a comma-separated excludesPattern setting
+export const splitPatterns = (value) => (value ?? '').split(',').map((p) => p.trim()).filter(Boolean);
+
+// The repository's current excludesPattern with the missing patterns appended:
+// { excludesPattern, added }
+export function mergeExcludes(current, patterns) {
+  const existing = splitPatterns(current);
+  const added = patterns.filter((p) => !existing.includes(p));
+  return { excludesPattern: [...existing, ...added].join(','), added };
+}
+
+// Rollback file: the excludesPattern of each repository before --apply changed it
+//   { createdAt, baseUrl, repositories: [{ key, excludesPattern }] }
+// An existing file is never overwritten, so an earlier rollback point is not lost.
+export async function writeRollbackFile(path, rollback) {
+  try {
+    await writeFile(path, `${JSON.stringify(rollback, null, 2)}\n`, { flag: 'wx' });
+  } catch (err) {
+    if (err.code === 'EEXIST') throw new Error(`Rollback file ${path} already exists; pass another --rollback-file`);
+    throw err;
+  }
+}
+
+export async function readRollbackFile(path) {
+  let rollback;
+  try {
+    rollback = JSON.parse(await readFile(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read rollback file ${path}: ${err.message}`);
+  }
+  if (!Array.isArray(rollback.repositories)) throw new Error(`Invalid rollback file ${path}`);
+  return rollback;
+}
@@ -0,0 +1,102 @@
+import { satisfies, validRange } from 'semver';
+import { isRangeSpec, parseSpec } from './compromised.js';
+
+// Joins repository scan findings with Artifactory cache lookups: which repos could have
+// pulled a compromised tarball, and did the proxy actually serve it?
+
+// Risk levels, highest first:
+//   critical - a lockfile pins the version and the proxy cache holds its tarball
+//   high     - a lockfile pins the version, but the proxy has no record of serving it
+//              (installed from elsewhere, or the cache was cleaned up)
+//   medium   - a range allows the version and the proxy cache holds its tarball
+//   low      - a range allows the version; the proxy never served it
+export const RISK_LEVELS = ['critical', 'high', 'medium', 'low'];
+
+// The compromised version each CRITICAL and DANGER finding could install. For DANGER this
+// is the compromised spec the declared range matched, so it may be a range or "*".
+const findingVersion = (severity, match) => (severity === 'critical' ? match.version : match.matchedVersion);
+
+// name@version of every CRITICAL and DANGER finding, to look up in Artifactory
+export function findingSpecs(results) {
+  const specs = new Set();
+  for (const result of results) {
+    for (const severity of ['critical', 'danger']) {
+      for (const match of result[severity]) specs.add(`${match.name}@${findingVersion(severity, match)}`);
+    }
+  }
+  return [...specs];
+}
+
+// Look up every finding spec in each repository: exact versions directly, ranges against
+// the versions cached in the repository (as the Artifactory scan does)
+export async function checkFindingsInCache(client, repos, specs) {
+  const results = await Promise.all([...repos].flatMap((repo) => specs.map((spec) => {
+    const { name, version } = parseSpec(spec);
+    return isRangeSpec(version) ? client.checkCachedRange(name, version, repo) : client.checkCache(spec, repo);
+  })));
+  return results.flat();
+}
+
+// A cached version a DANGER finding's declared range can actually resolve to (tags and
+// other non-semver specs could resolve to any of them)
+const reachable = (match, version) => !validRange(match.range) || satisfies(version, match.range);
+
+const downloadedAt = (hit) => (hit.lastDownloaded ? Date.parse(hit.lastDownloaded) : 0);
+
+// One entry per CRITICAL or DANGER finding, with the cached tarballs of its version (for
+// a range, each cached version in it), ranked by risk, then by most recent download and
+// download count. cacheResults come from checkFindingsInCache().
+export function buildExposureReport(results, cacheResults) {
+  const hitsBySpec = new Map();
+  const errorsBySpec = new Map();
+  for (const r of cacheResults) {
+    const spec = `${r.package}@${r.compromisedRange ?? r.version}`;
+    if (r.error) errorsBySpec.set(spec, [...(errorsBySpec.get(spec) ?? []), `${r.repository}: ${r.error}`]);
+    if (!r.existsInCache) continue;
+    hitsBySpec.set(spec, [...(hitsBySpec.get(spec) ?? []), {
+      repository: r.repository,
+      version: r.version,
+      ...(r.resolvedRepo && r.resolvedRepo !== r.repository && { resolvedRepo: r.resolvedRepo }),
+      lastDownloaded: r.lastDownloaded,
+      downloadCount: r.additional?.downloadCount,
+      lastDownloadedBy: r.additional?.lastDownloadedBy,
+    }]);
+  }
+
+  const report = [];
+  for (const result of results) {
+    for (const severity of ['critical', 'danger']) {
+      for (const match of result[severity]) {
+        const version = findingVersion(severity, match);
+        const spec = `${match.name}@${version}`;
+        const cached = (hitsBySpec.get(spec) ?? [])
+          .filter((hit) => severity === 'critical' || reachable(match, hit.version))
+          .sort((a, b) => downloadedAt(b) - downloadedAt(a));
+        report.push({
+          risk: severity === 'critical'
+            ? (cached.length > 0 ? 'critical' : 'high')
+            : (cached.length > 0 ? 'medium' : 'low'),
+          severity,
+          platform: result.platform,
+          owner: result.owner,
+          repo: result.repo,
+          branch: result.branch,
+          path: result.path,
+          ...(result.pullRequest && { pullRequest: result.pullRequest }),
+          name: match.name,
+          version,
+          ...(severity === 'danger' && { range: match.range }),
+          ...(match.declaredIn && { declaredIn: match.declaredIn }),
+          cached,
+          ...(errorsBySpec.has(spec) && { errors: errorsBySpec.get(spec) }),
+        });
+      }
+    }
+  }
+
+  const latest = (entry) => Math.max(0, ...entry.cached.map(downloadedAt));
+  const downloads = (entry) => entry.cached.reduce((sum, hit) => sum + (hit.downloadCount ?? 0), 0);
+  return report.sort((a, b) => RISK_LEVELS.indexOf(a.risk) - RISK_LEVELS.indexOf(b.risk)
+    || latest(b) - latest(a)
+    || downloads(b) - downloads(a));
+}
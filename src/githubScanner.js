@@ -1,21 +1,51 @@
+import { createAppAuth } from '@octokit/auth-app';
 import { Octokit } from '@octokit/rest';
 import { throttling } from '@octokit/plugin-throttling';
-import { satisfies, valid } from 'semver';
-
-// Branch patterns to scan
-const DEFAULT_BRANCH_PATTERNS = ['main', 'master', 'dev'];
-const RELEASE_BRANCH_RE = /^\d+\.\d+$/;
+import { HostScanner } from './hostScanner.js';
+import { buildCompromisedMap } from './manifestScanner.js';
+
+// Legacy code search allows at most 5 boolean operators and 256 characters per query
+const CODE_SEARCH_TERMS_PER_QUERY = 6;
+const CODE_SEARCH_MAX_QUERY_LENGTH = 256;
+// Code search is rate limited to a few queries a minute; an owner scan spends at most this
+// many requests on it before falling back to a full scan
+const CODE_SEARCH_MAX_REQUESTS = 30;
+// The search API returns at most this many results per query
+const CODE_SEARCH_MAX_RESULTS = 1000;
 
 // Create Octokit with throttling plugin for rate limit handling
 const ThrottledOctokit = Octokit.plugin(throttling);
 
-export class GitHubScanner {
-  constructor({ token, org, onRateLimit }) {
-    this.org = org;
-    this.onRateLimit = onRateLimit;
-    
-    this.octokit = new ThrottledOctokit({
-      auth: token,
+export class GitHubScanner extends HostScanner {
+  // Scans the repositories of one owner: an organization (`org`) or a user account (`user`).
+  // Authenticates with a token, or as a GitHub App installation (`app`: { appId, privateKey,
+  // installationId }; without installationId, the app's installation on the owner is used).
+  // `baseUrl` points at a GitHub Enterprise Server API (https://ghe.example.com/api/v3).
+  // See HostScanner for branch selection, repository filters, concurrency and checkpoints.
+  //
+  // strategy picks which repositories get a full manifest scan (per-file content fetches):
+  //   'manifest'    - every repository
+  //   'sbom'        - repositories whose dependency graph SBOM lists a compromised package
+  //                   name (repositories without a dependency graph get a full scan)
+  //   'code-search' - repositories where code search finds a compromised package name in
+  //                   any file (the full scan then checks manifests, lockfiles, workflows
+  //                   and Dockerfiles)
+  // Both prefilters look at the default branch only, as GitHub indexes nothing else; see
+  // HostScanner for how skipped repositories are handled.
+  constructor({ token, app, baseUrl, org, user, strategy = 'manifest', ...options }) {
+    super({ ...options, platform: 'github', owner: org ?? user });
+    this.ownerType = org ? 'org' : 'user';
+    this.app = app && { ...app };
+    this.baseUrl = baseUrl;
+    this.strategy = strategy;
+
+    this.octokit = this.#createOctokit(this.app ? { ...this.app } : token);
+  }
+
+  #createOctokit(auth) {
+    return new ThrottledOctokit({
+      ...(typeof auth === 'object' ? { authStrategy: createAppAuth, auth } : { auth }),
+      ...(this.baseUrl && { baseUrl: this.baseUrl.replace(/\/+$/, '') }),
       throttle: {
         onRateLimit: (retryAfter, options, octokit, retryCount) => {
           if (this.onRateLimit) {
@@ -41,30 +71,46 @@ export class GitHubScanner {
     });
   }
 
-  // List all repositories in the organization
+  // A GitHub App without an installation id authenticates as the app's installation on the owner
+  async #authenticate() {
+    if (!this.app || this.app.installationId) return;
+    const { data } = this.ownerType === 'org'
+      ? await this.octokit.apps.getOrgInstallation({ org: this.owner })
+      : await this.octokit.apps.getUserInstallation({ username: this.owner });
+    this.app.installationId = data.id;
+    this.octokit = this.#createOctokit({ ...this.app });
+  }
+
+  // List all repositories of the organization or user
   async listRepos() {
+    await this.#authenticate();
+    const [method, params] = await this.#repoListing();
     const repos = [];
-    for await (const response of this.octokit.paginate.iterator(
-      this.octokit.repos.listForOrg,
-      { org: this.org, per_page: 100 }
-    )) {
+    for await (const response of this.octokit.paginate.iterator(method, { ...params, per_page: 100 })) {
       repos.push(...response.data);
     }
     return repos;
   }
 
-  // List branches matching our patterns
-  async listMatchingBranches(repo) {
+  // Users' private repositories are only listed to the user itself or to an app installation
+  async #repoListing() {
+    if (this.ownerType === 'org') return [this.octokit.repos.listForOrg, { org: this.owner }];
+    if (this.app) return [this.octokit.apps.listReposAccessibleToInstallation, {}];
+    const login = await this.octokit.users.getAuthenticated().then(({ data }) => data.login, () => null);
+    return login?.toLowerCase() === this.owner.toLowerCase()
+      ? [this.octokit.repos.listForAuthenticatedUser, { affiliation: 'owner' }]
+      : [this.octokit.repos.listForUser, { username: this.owner, type: 'owner' }];
+  }
+
+  async listBranches(repo) {
     const branches = [];
     try {
       for await (const response of this.octokit.paginate.iterator(
         this.octokit.repos.listBranches,
-        { owner: this.org, repo, per_page: 100 }
+        { owner: this.owner, repo: repo.name, per_page: 100 }
       )) {
         for (const branch of response.data) {
-          if (this.#branchMatches(branch.name)) {
-            branches.push(branch.name);
-          }
+          branches.push({ name: branch.name, sha: branch.commit.sha, isDefault: branch.name === repo.default_branch });
         }
       }
     } catch (err) {
@@ -74,39 +120,71 @@ export class GitHubScanner {
     return branches;
   }
 
-  #branchMatches(name) {
-    return DEFAULT_BRANCH_PATTERNS.includes(name) || RELEASE_BRANCH_RE.test(name);
+  async getDefaultBranch(repo) {
+    if (!repo.default_branch) return null;
+    try {
+      const { data } = await this.octokit.repos.getBranch({ owner: this.owner, repo: repo.name, branch: repo.default_branch });
+      return { name: data.name, sha: data.commit.sha };
+    } catch (err) {
+      if (err.status !== 404 && err.status !== 409) throw err;
+      return null;
+    }
+  }
+
+  // List open pull requests as scan targets. The head commit is fetched through the base
+  // repo (GitHub keeps refs/pull/N/head), so PRs from forks work too.
+  async listOpenPullRequests(repo) {
+    const pulls = [];
+    try {
+      for await (const response of this.octokit.paginate.iterator(
+        this.octokit.pulls.list,
+        { owner: this.owner, repo: repo.name, state: 'open', per_page: 100 }
+      )) {
+        for (const pr of response.data) {
+          pulls.push({
+            branch: `pull/${pr.number}`,
+            sha: pr.head.sha,
+            pullRequest: { number: pr.number, title: pr.title, headRef: pr.head.ref, url: pr.html_url },
+          });
+        }
+      }
+    } catch (err) {
+      if (err.status !== 404 && err.status !== 409) throw err;
+    }
+    return pulls;
   }
 
-  // Find all package.json files in the repo using Git Trees API
-  async findPackageJsonPaths(repo, branch) {
+  // List all files in the repo with their blob SHAs using Git Trees API (skipping node_modules)
+  async listTree(repo, branch) {
     try {
       const { data } = await this.octokit.git.getTree({
-        owner: this.org,
+        owner: this.owner,
         repo,
         tree_sha: branch,
         recursive: 'true',
       });
 
-      // Find all package.json files (not in node_modules)
       return data.tree
         .filter(item => 
           item.type === 'blob' && 
-          item.path.endsWith('package.json') &&
           !item.path.includes('node_modules/')
         )
-        .map(item => item.path);
+        .map(item => ({ path: item.path, sha: item.sha }));
     } catch (err) {
       if (err.status === 404 || err.status === 409) return [];
       throw err;
     }
   }
 
+  async listTreeFiles(repo, branch) {
+    return (await this.listTree(repo, branch)).map((item) => item.path);
+  }
+
   // Get file content from a repo/branch
   async getFileContent(repo, branch, path) {
     try {
       const { data } = await this.octokit.repos.getContent({
-        owner: this.org,
+        owner: this.owner,
         repo,
         path,
         ref: branch,
@@ -119,214 +197,120 @@ export class GitHubScanner {
     }
   }
 
-  // Scan a single package.json location for compromised packages
-  async scanPackageLocation(repo, branch, packageJsonPath, compromisedMap) {
-    const dir = packageJsonPath === 'package.json' ? '' : packageJsonPath.replace(/\/package\.json$/, '');
-    const lockfilePath = dir ? `${dir}/package-lock.json` : 'package-lock.json';
-    
-    const result = {
+  // Every path (old and new, for renames) changed by a commit reachable from ref since a date
+  async listChangedPaths(repo, ref, since) {
+    const commits = await this.octokit.paginate(this.octokit.repos.listCommits, {
+      owner: this.owner,
       repo,
-      branch,
-      path: packageJsonPath,
-      lockfileFound: false,
-      critical: [],    // Exact matches in lockfile
-      danger: [],      // Semver range could match
-      caution: [],     // Package name matches but semver doesn't
-      errors: [],
-    };
-
-    // Get package.json
-    let packageJson;
-    try {
-      const content = await this.getFileContent(repo, branch, packageJsonPath);
-      if (!content) return null;
-      packageJson = JSON.parse(content);
-    } catch (err) {
-      result.errors.push(`Failed to parse ${packageJsonPath}: ${err.message}`);
-      return result;
-    }
-
-    // Get package-lock.json (optional)
-    let lockfile;
-    try {
-      const content = await this.getFileContent(repo, branch, lockfilePath);
-      if (content) {
-        result.lockfileFound = true;
-        lockfile = JSON.parse(content);
+      sha: ref,
+      since: since.toISOString(),
+      per_page: 100,
+    });
+    const paths = new Set();
+    for (const { sha } of commits) {
+      // Large commits list their files a page at a time
+      const files = await this.octokit.paginate(this.octokit.repos.getCommit, { owner: this.owner, repo, ref: sha, per_page: 100 }, (response) => response.data.files ?? []);
+      for (const file of files) {
+        paths.add(file.filename);
+        if (file.previous_filename) paths.add(file.previous_filename);
       }
-    } catch (err) {
-      result.errors.push(`Failed to parse ${lockfilePath}: ${err.message}`);
-    }
-
-    // Check lockfile for exact matches (CRITICAL)
-    if (lockfile) {
-      result.critical = this.#checkLockfile(lockfile, compromisedMap);
     }
-
-    // Check package.json for semver and name matches
-    const { danger, caution } = this.#checkPackageJsonAllLevels(packageJson, compromisedMap);
-    result.danger = danger;
-    result.caution = caution;
-
-    return result;
+    return [...paths];
   }
 
-  // Scan a single repo/branch for compromised packages
-  async scanBranch(repo, branch, compromisedMap) {
-    const results = [];
-    
-    // Find all package.json files in the repo
-    const packageJsonPaths = await this.findPackageJsonPaths(repo, branch);
-    
-    for (const path of packageJsonPaths) {
-      const result = await this.scanPackageLocation(repo, branch, path, compromisedMap);
-      if (result) {
-        results.push(result);
-      }
-    }
-    
-    return results;
+  // Commits that changed a file, reachable from ref and committed since a date, newest first
+  async listFileCommits(repo, ref, path, since) {
+    const commits = await this.octokit.paginate(this.octokit.repos.listCommits, {
+      owner: this.owner,
+      repo,
+      sha: ref,
+      path,
+      since: since.toISOString(),
+      per_page: 100,
+    });
+    return commits.map((commit) => ({
+      sha: commit.sha,
+      parent: commit.parents[0]?.sha ?? null,
+      date: commit.commit.committer?.date ?? commit.commit.author?.date,
+      author: { name: commit.commit.author?.name, email: commit.commit.author?.email, ...(commit.author?.login && { login: commit.author.login }) },
+      message: commit.commit.message.split('\n')[0],
+    }));
   }
 
-  // Check lockfile for exact version matches
-  #checkLockfile(lockfile, compromisedMap) {
-    const matches = [];
-    const seen = new Set();
-
-    // npm lockfile v2/v3 format (packages field)
-    if (lockfile.packages) {
-      for (const [path, pkg] of Object.entries(lockfile.packages)) {
-        if (!path || path === '') continue; // Skip root
-        // Extract package name from path like "node_modules/@scope/name"
-        // Also handle nested: "node_modules/foo/node_modules/bar"
-        const parts = path.split('node_modules/');
-        const name = parts[parts.length - 1];
-        const version = pkg.version;
-        const key = `${name}@${version}`;
-        if (name && version && compromisedMap.has(name) && !seen.has(key)) {
-          const badVersions = compromisedMap.get(name);
-          if (badVersions.has(version)) {
-            seen.add(key);
-            matches.push({ name, version });
-          }
+  // npm packages in a repo's dependency graph SBOM (SPDX), or null when the dependency
+  // graph is disabled or not accessible
+  async fetchSbomPackages(repo) {
+    try {
+      const { data } = await this.octokit.dependencyGraph.exportSbom({ owner: this.owner, repo });
+      const packages = [];
+      for (const pkg of data.sbom?.packages ?? []) {
+        for (const ref of pkg.externalRefs ?? []) {
+          const purl = ref.referenceType === 'purl' && ref.referenceLocator.match(/^pkg:npm\/([^@?#]+)@([^?#]+)/);
+          if (purl) packages.push({ name: decodeURIComponent(purl[1]), version: decodeURIComponent(purl[2]) });
         }
       }
+      return packages;
+    } catch (err) {
+      if (err.status === 403 || err.status === 404 || err.status === 409) return null;
+      throw err;
     }
-
-    // npm lockfile v1 format (dependencies field, recursive)
-    if (lockfile.dependencies) {
-      this.#checkLockfileDepsV1(lockfile.dependencies, compromisedMap, matches, seen);
-    }
-
-    return matches;
   }
 
-  #checkLockfileDepsV1(deps, compromisedMap, matches, seen) {
-    for (const [name, info] of Object.entries(deps)) {
-      const version = info.version;
-      const key = `${name}@${version}`;
-      if (version && compromisedMap.has(name) && !seen.has(key)) {
-        const badVersions = compromisedMap.get(name);
-        if (badVersions.has(version)) {
-          seen.add(key);
-          matches.push({ name, version });
-        }
-      }
-      // Recurse into nested dependencies
-      if (info.dependencies) {
-        this.#checkLockfileDepsV1(info.dependencies, compromisedMap, matches, seen);
+  // Names of repos of the owner with a file that mentions any of the package names, or
+  // null when that takes more than CODE_SEARCH_MAX_REQUESTS requests or a query had more
+  // matches than the API returns (inconclusive). Names are searched in every file, not per
+  // file type: a qualifier per type multiplies the queries, and the full scan confirms hits.
+  async searchReposMentioning(names) {
+    const repos = new Set();
+    const ownerQualifier = `${this.ownerType}:${this.owner}`;
+    const batches = [...this.#codeSearchBatches(names, ownerQualifier)];
+    if (batches.length > CODE_SEARCH_MAX_REQUESTS) return null;
+    let requests = 0;
+    for (const terms of batches) {
+      const q = `${terms.map((n) => `"${n}"`).join(' OR ')} ${ownerQualifier}`;
+      for await (const response of this.octokit.paginate.iterator(this.octokit.search.code, { q, per_page: 100 })) {
+        if (++requests > CODE_SEARCH_MAX_REQUESTS || response.data.total_count > CODE_SEARCH_MAX_RESULTS) return null;
+        response.data.forEach((item) => repos.add(item.repository.name));
       }
     }
+    return repos;
   }
 
-  // Check package.json for both semver matches (DANGER) and name-only matches (CAUTION)
-  #checkPackageJsonAllLevels(packageJson, compromisedMap) {
-    const danger = [];
-    const caution = [];
-    const allDeps = {
-      ...packageJson.dependencies,
-      ...packageJson.devDependencies,
-      ...packageJson.optionalDependencies,
-      ...packageJson.peerDependencies,
-    };
-
-    for (const [name, range] of Object.entries(allDeps)) {
-      if (!compromisedMap.has(name)) continue;
-      const badVersions = compromisedMap.get(name);
-
-      let semverMatched = false;
-      let matchedVersion = null;
-
-      // Check if any compromised version satisfies the semver range
-      for (const badVersion of badVersions) {
-        try {
-          if (valid(badVersion) && satisfies(badVersion, range)) {
-            semverMatched = true;
-            matchedVersion = badVersion;
-            break;
-          }
-        } catch {
-          // Invalid semver range, skip
-        }
-      }
-
-      if (semverMatched) {
-        danger.push({ name, range, matchedVersion });
+  *#codeSearchBatches(names, suffix) {
+    let batch = [];
+    for (const name of names) {
+      const candidate = [...batch, name];
+      const length = candidate.map((n) => `"${n}"`).join(' OR ').length + suffix.length + 1;
+      if (batch.length > 0 && (candidate.length > CODE_SEARCH_TERMS_PER_QUERY || length > CODE_SEARCH_MAX_QUERY_LENGTH)) {
+        yield batch;
+        batch = [name];
       } else {
-        // Name matches but semver doesn't - CAUTION level
-        caution.push({ name, range, compromisedVersions: Array.from(badVersions).slice(0, 3).join(', ') });
+        batch = candidate;
       }
     }
+    if (batch.length > 0) yield batch;
+  }
 
-    return { danger, caution };
+  // Code search runs once per owner, before the repositories are scanned
+  async prepareScan(compromisedMap, onProgress) {
+    if (this.strategy !== 'code-search') return null;
+    const searchHits = await this.searchReposMentioning([...compromisedMap.keys()]);
+    if (onProgress) onProgress({ type: 'code-search', repos: searchHits?.size ?? null });
+    return searchHits;
   }
 
-  // Scan entire org
-  async scanOrg(compromisedSpecs, onProgress) {
-    // Build a map: packageName -> Set of compromised versions
-    const compromisedMap = new Map();
-    for (const spec of compromisedSpecs) {
-      const atIndex = spec.lastIndexOf('@');
-      if (atIndex <= 0) continue;
-      const name = spec.slice(0, atIndex);
-      const version = spec.slice(atIndex + 1);
-      if (!compromisedMap.has(name)) {
-        compromisedMap.set(name, new Set());
-      }
-      compromisedMap.get(name).add(version);
+  async selectRepo(repo, compromisedMap, searchHits) {
+    if (this.strategy === 'sbom') {
+      const packages = await this.fetchSbomPackages(repo.name);
+      if (!packages) return 'manifest';
+      return packages.some((pkg) => compromisedMap.has(pkg.name)) ? 'sbom' : null;
     }
-
-    const results = [];
-    const repos = await this.listRepos();
-
-    for (const repo of repos) {
-      if (onProgress) onProgress({ type: 'repo', name: repo.name });
-      
-      const branches = await this.listMatchingBranches(repo.name);
-      for (const branch of branches) {
-        if (onProgress) onProgress({ type: 'branch', repo: repo.name, branch });
-        
-        const branchResults = await this.scanBranch(repo.name, branch, compromisedMap);
-        results.push(...branchResults);
-      }
+    // Without conclusive search results (too many matches to enumerate), scan every repo
+    if (this.strategy === 'code-search' && searchHits) {
+      return searchHits.has(repo.name) ? 'code-search' : null;
     }
-
-    return results;
+    return 'manifest';
   }
 }
 
-// Build a compromised package map from specs
-export function buildCompromisedMap(specs) {
-  const map = new Map();
-  for (const spec of specs) {
-    const atIndex = spec.lastIndexOf('@');
-    if (atIndex <= 0) continue;
-    const name = spec.slice(0, atIndex);
-    const version = spec.slice(atIndex + 1);
-    if (!map.has(name)) {
-      map.set(name, new Set());
-    }
-    map.get(name).add(version);
-  }
-  return map;
-}
+export { buildCompromisedMap };
@@ -0,0 +1,135 @@
+import { HostScanner } from './hostScanner.js';
+import { RestClient } from './restClient.js';
+
+// Scans the projects of a GitLab group (including subgroups) or user, on gitlab.com or a
+// self-managed instance, through the REST API v4. Repository names are project paths
+// relative to the group ("sub/project"). See HostScanner for the scan options.
+export class GitLabScanner extends HostScanner {
+  constructor({ baseUrl = 'https://gitlab.com', token, group, user, maxRetries, ...options }) {
+    super({ ...options, platform: 'gitlab', owner: group ?? user });
+    this.ownerType = group ? 'group' : 'user';
+    this.client = new RestClient({
+      baseUrl: `${baseUrl.replace(/\/+$/, '')}/api/v4`,
+      headers: token ? { 'PRIVATE-TOKEN': token } : {},
+      maxRetries,
+      // Rate limiting (429) and transient failures are retried by the client
+      onRetry: (info) => this.onRateLimit?.({ type: info.status === 429 ? 'rate-limit' : 'retry', retryAfter: Math.round(info.delay / 1000), retryCount: info.attempt - 1 }),
+    });
+  }
+
+  #projectPath(repo) {
+    return `/projects/${encodeURIComponent(`${this.owner}/${repo}`)}`;
+  }
+
+  // Follow GitLab pagination: keyset (Link rel="next") or offset (X-Next-Page)
+  async #paginate(path, query = {}) {
+    const items = [];
+    let url = path;
+    let params = { per_page: 100, ...query };
+    while (url) {
+      const { data, headers } = await this.client.get(url, params);
+      if (!data) return null;
+      items.push(...data);
+      const next = headers.get('link')?.match(/<([^>]+)>;\s*rel="next"/)?.[1];
+      if (next) {
+        const nextUrl = new URL(next);
+        url = nextUrl.pathname.replace(/^.*\/api\/v4/, '');
+        params = Object.fromEntries(nextUrl.searchParams);
+      } else if (headers.get('x-next-page')) {
+        params = { ...params, page: headers.get('x-next-page') };
+      } else {
+        url = null;
+      }
+    }
+    return items;
+  }
+
+  // List the group's projects (subgroups included) or the user's projects, as repositories.
+  // Projects shared with the group from other namespaces are not the group's own.
+  async listRepos() {
+    const path = this.ownerType === 'group'
+      ? `/groups/${encodeURIComponent(this.owner)}/projects`
+      : `/users/${encodeURIComponent(this.owner)}/projects`;
+    const projects = await this.#paginate(path, this.ownerType === 'group' ? { include_subgroups: true, with_shared: false } : {});
+    if (!projects) throw new Error(`GitLab ${this.ownerType} ${this.owner} not found`);
+    const prefix = `${this.owner}/`;
+    return projects.map((project) => ({
+      name: project.path_with_namespace.startsWith(prefix) ? project.path_with_namespace.slice(prefix.length) : project.path,
+      full_name: project.path_with_namespace,
+      default_branch: project.default_branch,
+      topics: project.topics ?? project.tag_list ?? [],
+      archived: project.archived,
+      fork: Boolean(project.forked_from_project),
+      is_template: false,
+      visibility: project.visibility,
+      pushed_at: project.last_activity_at,
+    }));
+  }
+
+  async listBranches(repo) {
+    const branches = await this.#paginate(`${this.#projectPath(repo.name)}/repository/branches`);
+    return (branches ?? []).map((branch) => ({ name: branch.name, sha: branch.commit.id, isDefault: branch.default }));
+  }
+
+  async getDefaultBranch(repo) {
+    if (!repo.default_branch) return null;
+    const { data } = await this.client.get(`${this.#projectPath(repo.name)}/repository/branches/${encodeURIComponent(repo.default_branch)}`);
+    return data ? { name: data.name, sha: data.commit.id } : null;
+  }
+
+  // Open merge requests, scanned at their head commit and reported as pull/<iid>
+  async listOpenPullRequests(repo) {
+    const mergeRequests = await this.#paginate(`${this.#projectPath(repo.name)}/merge_requests`, { state: 'opened' });
+    return (mergeRequests ?? []).map((mr) => ({
+      branch: `pull/${mr.iid}`,
+      sha: mr.sha,
+      pullRequest: { number: mr.iid, title: mr.title, headRef: mr.source_branch, url: mr.web_url },
+    }));
+  }
+
+  // List all files with their blob SHAs (skipping node_modules)
+  async listTree(repo, branch) {
+    const tree = await this.#paginate(`${this.#projectPath(repo)}/repository/tree`, { ref: branch, recursive: true, pagination: 'keyset' });
+    return (tree ?? [])
+      .filter((item) => item.type === 'blob' && !item.path.includes('node_modules/'))
+      .map((item) => ({ path: item.path, sha: item.id }));
+  }
+
+  async listTreeFiles(repo, branch) {
+    return (await this.listTree(repo, branch)).map((item) => item.path);
+  }
+
+  // Commits that changed a file, reachable from ref and committed since a date, newest first
+  async listFileCommits(repo, ref, path, since) {
+    const commits = await this.#paginate(`${this.#projectPath(repo)}/repository/commits`, { ref_name: ref, path, since: since.toISOString() });
+    return (commits ?? []).map((commit) => ({
+      sha: commit.id,
+      parent: commit.parent_ids?.[0] ?? null,
+      date: commit.committed_date,
+      author: { name: commit.author_name, email: commit.author_email },
+      message: commit.title,
+    }));
+  }
+
+  // Every path (old and new, for renames) changed by a commit reachable from ref since a date
+  async listChangedPaths(repo, ref, since) {
+    const commits = await this.#paginate(`${this.#projectPath(repo)}/repository/commits`, { ref_name: ref, since: since.toISOString() });
+    const paths = new Set();
+    for (const commit of commits ?? []) {
+      for (const diff of (await this.#paginate(`${this.#projectPath(repo)}/repository/commits/${commit.id}/diff`)) ?? []) {
+        paths.add(diff.new_path);
+        paths.add(diff.old_path);
+      }
+    }
+    return [...paths];
+  }
+
+  async getFileContent(repo, branch, path) {
+    const { data } = await this.client.get(
+      `${this.#projectPath(repo)}/repository/files/${encodeURIComponent(path)}/raw`,
+      { ref: branch },
+      { text: true },
+    );
+    return data;
+  }
+}
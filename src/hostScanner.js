@@ -0,0 +1,188 @@
+import { createLimiter } from './concurrency.js';
+import { ManifestScanner, buildCompromisedMap } from './manifestScanner.js';
+import { createMatcher } from './patterns.js';
+import { createRepoFilter } from './repoFilter.js';
+
+// Branches scanned when no --branch patterns are given (besides each repo's default branch)
+const DEFAULT_BRANCH_PATTERNS = ['main', 'master', 'dev'];
+const RELEASE_BRANCH_RE = /^\d+\.\d+$/;
+
+// Org-wide scanning shared by the Git hosting platforms (GitHub, GitLab, Bitbucket).
+// Scans the repositories of one owner (org, group, project or user). Subclasses provide,
+// besides listTreeFiles/listTree and getFileContent:
+//   listRepos()                  -> repositories in GitHub REST shape (name, full_name,
+//                                   default_branch, topics, archived, fork, visibility, ...)
+//   listBranches(repo)           -> [{ name, sha, isDefault }]
+//   getDefaultBranch(repo)       -> { name, sha } or null for an empty repository
+//   listOpenPullRequests(repo)   -> [{ branch, sha, pullRequest: { number, title, headRef, url } }]
+// and may override prepareScan()/selectRepo() to skip repositories before a full scan.
+//
+// Branch selection:
+//   branchMode 'patterns' - branches matching branchPatterns (globs or /regex/), or by
+//                           default the repo's default branch, main/master/dev and N.N
+//   branchMode 'default'  - only each repo's default branch
+//   branchMode 'all'      - every branch
+// pullRequests also scans the head commit of every open pull (merge) request.
+// since (a Date) adds lockfile history since that date (see scanLockfileHistory); it
+// needs listFileCommits(repo, ref, path, since) and listChangedPaths(repo, ref, since)
+// from the subclass.
+// repoFilter holds createRepoFilter() criteria for which repositories to scan.
+//
+// Up to `concurrency` repositories are scanned at once. With a ScanCheckpoint, each
+// finished repository is appended to it, and repositories it already holds at the same
+// commits are not scanned again. A ManifestCache skips downloading unchanged files.
+export class HostScanner extends ManifestScanner {
+  constructor({
+    platform,
+    owner,
+    onRateLimit,
+    branchMode = 'patterns',
+    branchPatterns = [],
+    pullRequests = false,
+    since = null,
+    repoFilter = {},
+    concurrency = 4,
+    checkpoint = null,
+    manifestCache = null,
+  }) {
+    super({ manifestCache });
+    this.platform = platform;
+    this.owner = owner;
+    this.onRateLimit = onRateLimit;
+    this.branchMode = branchMode;
+    this.branchPatterns = branchPatterns.length > 0 ? createMatcher(branchPatterns) : null;
+    this.pullRequests = pullRequests;
+    this.since = since;
+    this.repoMatches = createRepoFilter(repoFilter);
+    this.concurrency = concurrency;
+    this.checkpoint = checkpoint;
+  }
+
+  // List the branches to scan in a repo (a listRepos() entry): [{ name, sha }]
+  async listMatchingBranches(repo) {
+    if (this.branchMode === 'default') {
+      const branch = await this.getDefaultBranch(repo);
+      return branch ? [branch] : [];
+    }
+    return (await this.listBranches(repo))
+      .filter((branch) => this.#branchMatches(branch, repo))
+      .map(({ name, sha }) => ({ name, sha }));
+  }
+
+  #branchMatches(branch, repo) {
+    if (this.branchMode === 'all') return true;
+    if (this.branchPatterns) return this.branchPatterns(branch.name);
+    return branch.isDefault || branch.name === repo.default_branch
+      || DEFAULT_BRANCH_PATTERNS.includes(branch.name) || RELEASE_BRANCH_RE.test(branch.name);
+  }
+
+  // Branches and (optionally) open pull requests to scan, each at a commit:
+  // [{ branch, sha, pullRequest? }]
+  async listScanTargets(repo) {
+    const branches = (await this.listMatchingBranches(repo)).map(({ name, sha }) => ({ branch: name, sha }));
+    const pulls = this.pullRequests ? await this.listOpenPullRequests(repo) : [];
+    return [...branches, ...pulls];
+  }
+
+  // Hook run once before scanning; its return value is passed to selectRepo()
+  async prepareScan() {
+    return null;
+  }
+
+  // Hook deciding whether a repo needs a full manifest scan; returns the strategy that
+  // selected it (recorded on its results), or null to skip its default branch
+  async selectRepo() {
+    return 'manifest';
+  }
+
+  // Scan every target of one repo, reusing checkpointed results at unchanged commits
+  async #scanRepo(repo, compromisedMap, context, onProgress) {
+    if (onProgress) onProgress({ type: 'repo', name: repo.name });
+
+    // Prefilters only see the default branch: a repo they skip still has its other
+    // branches and open pull requests scanned in full
+    const strategy = await this.selectRepo(repo, compromisedMap, context);
+    const skip = () => {
+      if (onProgress) onProgress({ type: 'skip', repo: repo.name, strategy: this.strategy });
+      return [];
+    };
+    if (!strategy && this.branchMode === 'default' && !this.pullRequests) return skip();
+
+    let targets = await this.listScanTargets(repo);
+    if (!strategy) {
+      targets = targets.filter((target) => target.pullRequest || target.branch !== repo.default_branch);
+      if (targets.length === 0) return skip();
+    }
+    const recorded = this.checkpoint?.lookup(this.#checkpointKey(repo), targets);
+    if (recorded) {
+      if (onProgress) onProgress({ type: 'resumed', repo: repo.name });
+      return recorded;
+    }
+
+    const results = [];
+    for (const { branch, sha, pullRequest } of targets) {
+      if (onProgress) onProgress({ type: 'branch', repo: repo.name, branch });
+
+      // Scan at the listed commit, so results match the SHA recorded in the checkpoint.
+      // Pull requests are reported as pull/N.
+      const branchResults = await this.scanBranch(repo.name, sha ?? branch, compromisedMap, { since: this.since });
+      results.push(...branchResults.map((r) => ({
+        ...r,
+        platform: this.platform,
+        owner: this.owner,
+        branch,
+        commit: sha,
+        strategy: strategy ?? 'manifest',
+        ...(pullRequest && { pullRequest }),
+      })));
+    }
+
+    await this.#record(repo, targets, results);
+    return results;
+  }
+
+  // A repository whose scan failed, as a result carrying the error
+  #errorResult(repo, message) {
+    return { platform: this.platform, owner: this.owner, repo: repo.name, branch: null, path: null, critical: [], danger: [], caution: [], errors: [message] };
+  }
+
+  #checkpointKey(repo) {
+    return `${this.platform}:${this.owner}/${repo.name}`;
+  }
+
+  // Checkpoint a repository; a failed write is reported on the repository's results
+  async #record(repo, targets, results, options) {
+    if (!this.checkpoint) return;
+    try {
+      await this.checkpoint.record(this.#checkpointKey(repo), targets, results, options);
+    } catch (err) {
+      results.push(this.#errorResult(repo, `Failed to write checkpoint ${this.checkpoint.path}: ${err.message}`));
+    }
+  }
+
+  // Scan a repository; an error (a failed API call, say) fails only this repository
+  async #scanRepoOrFail(repo, compromisedMap, context, onProgress) {
+    try {
+      return await this.#scanRepo(repo, compromisedMap, context, onProgress);
+    } catch (err) {
+      const results = [this.#errorResult(repo, `Scan failed: ${err.message}`)];
+      await this.#record(repo, [], results, { failed: true });
+      return results;
+    }
+  }
+
+  // Scan every selected repository of the owner
+  async scanOrg(compromisedSpecs, onProgress) {
+    const compromisedMap = buildCompromisedMap(compromisedSpecs);
+
+    const allRepos = await this.listRepos();
+    const repos = allRepos.filter(this.repoMatches);
+    if (onProgress) onProgress({ type: 'repos', owner: this.owner, total: allRepos.length, selected: repos.length });
+
+    const context = await this.prepareScan(compromisedMap, onProgress);
+
+    const limit = createLimiter(this.concurrency);
+    const repoResults = await Promise.all(repos.map((repo) => limit(() => this.#scanRepoOrFail(repo, compromisedMap, context, onProgress))));
+    return repoResults.flat();
+  }
+}
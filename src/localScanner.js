@@ -0,0 +1,150 @@
+import { readdir, readFile } from 'node:fs/promises';
+import { basename, join, resolve } from 'node:path';
+import { ManifestScanner, buildCompromisedMap } from './manifestScanner.js';
+
+// Directories never descended into when walking a checkout
+const SKIP_DIRS = new Set(['node_modules', '.git']);
+
+// Scans a local directory tree (checked-out repo, CI workspace, developer machine)
+// with the same CRITICAL/DANGER/CAUTION logic as the GitHub scanner. No network access.
+export class LocalScanner extends ManifestScanner {
+  constructor({ root }) {
+    super();
+    this.root = resolve(root);
+  }
+
+  // Walk the directory tree, returning '/'-separated paths relative to the root.
+  // Symlinks are not followed, so linked packages can't cause loops.
+  async listTreeFiles() {
+    return (await this.#walk()).files;
+  }
+
+  // Every node_modules directory outside another node_modules: projects' installs, and
+  // global ones such as lib/node_modules under an npm prefix
+  async listNodeModulesDirs() {
+    return (await this.#walk()).nodeModules;
+  }
+
+  async #walk() {
+    const files = [];
+    const nodeModules = [];
+    const walk = async (dir) => {
+      const dirents = await readdir(join(this.root, dir), { withFileTypes: true });
+      for (const dirent of dirents) {
+        const path = dir ? `${dir}/${dirent.name}` : dirent.name;
+        if (dirent.isDirectory()) {
+          if (dirent.name === 'node_modules') nodeModules.push(path);
+          if (!SKIP_DIRS.has(dirent.name)) await walk(path);
+        } else if (dirent.isFile()) {
+          files.push(path);
+        }
+      }
+    };
+    await walk('');
+    return { files, nodeModules };
+  }
+
+  async getFileContent(repo, branch, path) {
+    try {
+      return await readFile(join(this.root, path), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+      throw err;
+    }
+  }
+
+  // List every package installed under a node_modules directory (relative to the root;
+  // '' for the root itself), including nested node_modules and pnpm's .pnpm store
+  async listInstalledPackages(nodeModulesPath) {
+    const packages = [];
+
+    const readPackage = async (pkgDir) => {
+      const content = await this.getFileContent(null, null, `${pkgDir}/package.json`);
+      if (!content) return;
+      let name, version;
+      try {
+        ({ name, version } = JSON.parse(content));
+      } catch {
+        return; // Broken install; nothing to compare
+      }
+      if (name && version) packages.push({ name, version, location: pkgDir });
+      await visit(`${pkgDir}/node_modules`);
+    };
+
+    const visit = async (dir) => {
+      let dirents;
+      try {
+        dirents = await readdir(join(this.root, dir), { withFileTypes: true });
+      } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return;
+        throw err;
+      }
+      for (const dirent of dirents) {
+        // Symlinked entries (pnpm, npm link) point at packages we visit elsewhere
+        if (!dirent.isDirectory() || dirent.name === '.bin') continue;
+        const path = dir ? `${dir}/${dirent.name}` : dirent.name;
+        if (dirent.name === '.pnpm') {
+          for (const entry of await readdir(join(this.root, path))) {
+            await visit(`${path}/${entry}/node_modules`);
+          }
+        } else if (dirent.name.startsWith('@')) {
+          for (const entry of await readdir(join(this.root, path), { withFileTypes: true })) {
+            if (entry.isDirectory()) await readPackage(`${path}/${entry.name}`);
+          }
+        } else {
+          await readPackage(path);
+        }
+      }
+    };
+
+    await visit(nodeModulesPath);
+    return packages;
+  }
+
+  // Check installed package versions under a node_modules directory (CRITICAL on match)
+  async scanInstalled(nodeModulesPath, compromisedMap) {
+    const result = {
+      repo: basename(this.root),
+      branch: null,
+      path: nodeModulesPath || '.',
+      installed: true,
+      critical: [],
+      danger: [],
+      caution: [],
+      errors: [],
+    };
+
+    try {
+      const packages = await this.listInstalledPackages(nodeModulesPath);
+      if (packages.length === 0) return null;
+      result.critical = this.checkLockfile(packages, compromisedMap);
+    } catch (err) {
+      result.errors.push(`Failed to read ${result.path}: ${err.message}`);
+    }
+    return result;
+  }
+
+  // Scan the whole directory tree. A root that is itself a node_modules directory is an
+  // install, not a checkout: only its installed packages are checked.
+  async scanDirectory(compromisedSpecs, { installed = false, onProgress } = {}) {
+    const compromisedMap = buildCompromisedMap(compromisedSpecs);
+    const repo = basename(this.root);
+
+    if (onProgress) onProgress({ type: 'repo', name: repo });
+    if (repo === 'node_modules') {
+      const result = await this.scanInstalled('', compromisedMap);
+      return result ? [result] : [];
+    }
+
+    const results = await this.scanBranch(repo, null, compromisedMap);
+    if (installed) {
+      for (const path of await this.listNodeModulesDirs()) {
+        if (onProgress) onProgress({ type: 'installed', name: path });
+        const result = await this.scanInstalled(path, compromisedMap);
+        if (result) results.push(result);
+      }
+    }
+
+    return results;
+  }
+}
@@ -0,0 +1,414 @@
+import { parse as parseYaml } from 'yaml';
+
+// Lockfile names, in the order we prefer them when several sit in one directory
+export const LOCKFILE_NAMES = ['npm-shrinkwrap.json', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+export const isLockfilePath = (path) => LOCKFILE_NAMES.includes(path.split('/').pop());
+
+// Parse any supported lockfile into a flat list of { name, version } entries
+export function parseLockfile(path, content) {
+  const fileName = path.split('/').pop();
+  switch (fileName) {
+    case 'npm-shrinkwrap.json':
+    case 'package-lock.json':
+      return parseNpmLockfile(JSON.parse(content));
+    case 'yarn.lock':
+      return content.includes('__metadata:') ? parseYarnBerryLockfile(content) : parseYarnV1Lockfile(content);
+    case 'pnpm-lock.yaml':
+      return parsePnpmLockfile(content);
+    default:
+      throw new Error(`Unsupported lockfile: ${path}`);
+  }
+}
+
+// npm lockfile / shrinkwrap (v1 nested dependencies, v2/v3 packages map). Each entry
+// carries its dependencyPath (package labels from the root package down to it) and npm's
+// dev / optional / devOptional / peer flags.
+export function parseNpmLockfile(lockfile) {
+  // v2 lockfiles also carry the v1 tree for older npm; the packages map is authoritative
+  const packages = lockfile.packages ?? flattenNpmDepsV1(lockfile);
+  // Walk from the root and from each workspace package folder ("packages/a")
+  const folders = Object.keys(packages).filter((path) => !path.includes('node_modules/')).sort();
+  const walks = new Map(folders.map((folder) => [
+    folder,
+    walkDependencies(folder, (path) => npmDependencies(packages, path), (path) => npmLabel(packages, path)),
+  ]));
+  const entries = [];
+
+  for (const [path, pkg] of Object.entries(packages)) {
+    // Skip the root and workspace package folders
+    if (!path.includes('node_modules/')) continue;
+    // Extract package name from path like "node_modules/@scope/name"
+    // Also handle nested: "node_modules/foo/node_modules/bar"
+    // Aliased installs ("foo": "npm:bar@^1") record the real package as `name`
+    const parts = path.split('node_modules/');
+    const name = pkg.name ?? parts[parts.length - 1];
+    if (!name || !pkg.version) continue;
+    const { dependencyPath = physicalNpmChain(packages, path), workspaces } = attributeEntry(walks, path);
+    entries.push({
+      name,
+      version: pkg.version,
+      dependencyPath,
+      ...(workspaces && { workspaces }),
+      ...Object.fromEntries(NPM_DEPENDENCY_FLAGS.filter((flag) => pkg[flag]).map((flag) => [flag, true])),
+    });
+  }
+
+  return entries;
+}
+
+// npm's flags for packages not needed by a production install, with report labels
+const NPM_DEPENDENCY_FLAGS = ['dev', 'optional', 'devOptional', 'peer'];
+const DEPENDENCY_FLAG_LABELS = { dev: 'dev-only', optional: 'optional', devOptional: 'dev/optional-only', peer: 'peer' };
+
+// Report labels for a lockfile entry's dependency flags, e.g. ['dev-only', 'peer']
+export const dependencyKinds = (entry) => NPM_DEPENDENCY_FLAGS.filter((flag) => entry[flag]).map((flag) => DEPENDENCY_FLAG_LABELS[flag]);
+
+const NPM_DEPENDENCY_FIELDS = ['dependencies', 'optionalDependencies', 'peerDependencies', 'devDependencies'];
+
+// Shortest dependency chains from a start node (the root or a workspace package), found
+// breadth-first: Map<node, [label of start, ..., label of node]>. dependencies(node)
+// lists a node's resolved dependencies.
+const walkDependencies = (start, dependencies, label) => {
+  const chains = new Map([[start, [label(start)]]]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const target of dependencies(node)) {
+      if (chains.has(target)) continue;
+      chains.set(target, [...chains.get(node), label(target)]);
+      queue.push(target);
+    }
+  }
+  return chains;
+};
+
+// The dependencyPath of a node (the root's chain when the root reaches it) and, when the
+// lockfile has workspaces, `workspaces`: each workspace directory (relative to the
+// lockfile, '' for the root) that depends on it, mapped to its chain from there
+const attributeEntry = (walks, node) => {
+  const reached = [...walks].filter(([, chains]) => chains.has(node)).map(([dir, chains]) => [dir, chains.get(node)]);
+  return {
+    ...(reached.length > 0 && { dependencyPath: reached[0][1] }),
+    ...(walks.size > 1 && { workspaces: Object.fromEntries(reached) }),
+  };
+};
+
+// Lockfile entries that the package at `dir` (relative to the lockfile, '' for the
+// lockfile's own directory) depends on, with their dependency path from that package.
+// Entries without workspace attribution apply to every package the lockfile covers;
+// entries no workspace depends on (e.g. extraneous) stay with the root.
+export const workspaceEntries = (entries, dir) => entries.flatMap(({ workspaces, descriptors, dependencies, ...entry }) => {
+  if (!workspaces) return [entry];
+  if (workspaces[dir]) return [{ ...entry, dependencyPath: workspaces[dir] }];
+  return dir === '' && Object.keys(workspaces).length === 0 ? [entry] : [];
+});
+
+// Workspace directories a lockfile's entries are attributed to
+export const lockfileWorkspaces = (entries) => new Set(entries.flatMap((entry) => Object.keys(entry.workspaces ?? {})));
+
+// Flatten a v1 nested dependencies tree into the v2 packages shape. v1 does not record the
+// root's own dependencies, so top-level packages nothing else requires count as direct.
+const flattenNpmDepsV1 = (lockfile) => {
+  const packages = {};
+  const collect = (deps, prefix) => {
+    for (const [name, info] of Object.entries(deps)) {
+      const path = `${prefix}node_modules/${name}`;
+      // Aliases record their version as "npm:real@1.2.3"
+      const alias = info.version?.match(/^npm:(@?[^@]+)@(.+)$/);
+      packages[path] = {
+        ...(alias ? { name: alias[1], version: alias[2] } : { version: info.version }),
+        dependencies: info.requires,
+        dev: info.dev,
+        optional: info.optional,
+      };
+      // Recurse into nested dependencies
+      if (info.dependencies) collect(info.dependencies, `${path}/`);
+    }
+  };
+  collect(lockfile.dependencies ?? {}, '');
+
+  const required = new Set();
+  for (const [path, pkg] of Object.entries(packages)) {
+    for (const dep of Object.keys(pkg.dependencies ?? {})) required.add(resolveNpmDependency(packages, path, dep));
+  }
+  const direct = Object.keys(packages).filter((path) => !path.includes('/node_modules/') && !required.has(path));
+  packages[''] = {
+    name: lockfile.name,
+    dependencies: Object.fromEntries(direct.map((path) => [path.slice('node_modules/'.length), packages[path].version])),
+  };
+  return packages;
+};
+
+// Folder containing the node_modules a package path sits in ('' for the root)
+const parentNpmPath = (path) => {
+  const at = path.lastIndexOf('/node_modules/');
+  return at === -1 ? '' : path.slice(0, at);
+};
+
+// Resolve a dependency the way Node does: the nearest node_modules/<name> walking up from
+// the dependent's folder. Links (workspace packages) resolve to their target folder.
+const resolveNpmDependency = (packages, from, name) => {
+  for (let base = from; ; base = parentNpmPath(base)) {
+    const path = `${base ? `${base}/` : ''}node_modules/${name}`;
+    const pkg = packages[path];
+    if (pkg) return pkg.link ? pkg.resolved : path;
+    if (!base) return null;
+  }
+};
+
+// Installed packages a package path depends on. Other workspace folders are not entered:
+// their dependencies are attributed to them.
+const npmDependencies = (packages, path) => {
+  const pkg = packages[path];
+  return NPM_DEPENDENCY_FIELDS
+    .flatMap((field) => Object.keys(pkg[field] ?? {}))
+    .map((dep) => resolveNpmDependency(packages, path, dep))
+    .filter((target) => target?.includes('node_modules/') && packages[target]);
+};
+
+const npmLabel = (packages, path) => {
+  const pkg = packages[path] ?? {};
+  if (path === '') return pkg.name ?? 'root';
+  const name = pkg.name ?? (path.includes('node_modules/') ? path.slice(path.lastIndexOf('node_modules/') + 'node_modules/'.length) : path);
+  return pkg.version ? `${name}@${pkg.version}` : name;
+};
+
+// Fallback for packages nothing reaches (extraneous or cyclic): the nesting in node_modules
+const physicalNpmChain = (packages, path) => {
+  const chain = [];
+  for (let at = path.indexOf('node_modules/'); at !== -1; at = path.indexOf('/node_modules/', at + 1)) {
+    const end = path.indexOf('/node_modules/', at + 1);
+    const prefix = end === -1 ? path : path.slice(0, end);
+    if (packages[prefix]) chain.push(npmLabel(packages, prefix));
+  }
+  return [npmLabel(packages, ''), ...chain];
+};
+
+// Split "name@range" (name may be scoped) into [name, range]
+const splitDescriptor = (descriptor) => {
+  const at = descriptor.indexOf('@', 1);
+  return at === -1 ? [descriptor, ''] : [descriptor.slice(0, at), descriptor.slice(at + 1)];
+};
+
+// Yarn classic (v1) lockfile - a custom indented format, not YAML
+//   "@scope/name@^1.0.0", "@scope/name@^1.1.0":
+//     version "1.2.3"
+//     dependencies:
+//       dep "^2.0.0"
+// The lockfile does not record which workspace needs what, so entries keep their
+// descriptors and dependencies for attributeYarnV1Workspaces().
+export function parseYarnV1Lockfile(content) {
+  const entries = [];
+  let current = null;
+  let section = null;
+
+  for (const line of content.split('\n')) {
+    if (!line.trim() || line.startsWith('#')) continue;
+
+    // Top-level entry: comma-separated descriptors ending with ':'
+    if (!/^\s/.test(line)) {
+      const descriptors = line
+        .replace(/:\s*$/, '')
+        .split(',')
+        .map((d) => d.trim().replace(/^"|"$/g, ''))
+        .filter(Boolean);
+      const names = new Set(descriptors.map((d) => {
+        const [name, range] = splitDescriptor(d);
+        // Aliases ("alias@npm:real@^1.0.0") resolve to the real package
+        return range.startsWith('npm:') ? splitDescriptor(range.slice(4))[0] : name;
+      }));
+      current = { names, descriptors, dependencies: {} };
+      section = null;
+      continue;
+    }
+
+    if (!current) continue;
+    const versionMatch = line.match(/^ {2}version:? "?([^"\s]+)"?/);
+    if (versionMatch) {
+      current.version = versionMatch[1];
+      for (const name of current.names) {
+        entries.push({ name, version: current.version, descriptors: current.descriptors, dependencies: current.dependencies });
+      }
+    } else if (/^ {2}\S/.test(line)) {
+      section = /^ {2}(dependencies|optionalDependencies):/.test(line) ? 'dependencies' : null;
+    } else if (section) {
+      const dep = line.trim().match(/^"?([^"\s]+)"?\s+"?([^"]+?)"?$/);
+      if (dep) current.dependencies[dep[1]] = dep[2];
+    }
+  }
+
+  return entries;
+}
+
+// Attribute yarn v1 lockfile entries to workspaces, walking from each workspace package's
+// package.json (`packageJsons`: Map<dir relative to the lockfile, parsed package.json>).
+// Returns entries in the shape the other parsers produce (dependencyPath, workspaces).
+export function attributeYarnV1Workspaces(entries, packageJsons) {
+  const byDescriptor = new Map();
+  for (const entry of entries) {
+    for (const descriptor of entry.descriptors ?? []) byDescriptor.set(descriptor, entry);
+  }
+  const label = (node) => (typeof node === 'string' ? node : `${node.name}@${node.version}`);
+  const resolve = (deps) => Object.entries(deps ?? {})
+    .map(([name, range]) => byDescriptor.get(`${name}@${range}`))
+    .filter(Boolean);
+
+  const walks = new Map([...packageJsons].map(([dir, packageJson]) => [
+    dir,
+    walkDependencies(
+      packageJson.name ?? (dir || 'root'),
+      (node) => (typeof node === 'string'
+        ? resolve({ ...packageJson.dependencies, ...packageJson.devDependencies, ...packageJson.optionalDependencies })
+        : resolve(node.dependencies)),
+      label,
+    ),
+  ]));
+  return entries.map((node) => {
+    const { descriptors, dependencies, ...entry } = node;
+    return { ...entry, ...attributeEntry(walks, node) };
+  });
+}
+
+// Yarn Berry (v2+) lockfile - YAML keyed by descriptors, with a resolution per entry
+//   "lodash@npm:^4.17.21":
+//     version: 4.17.21
+//     resolution: "lodash@npm:4.17.21"
+// Workspace packages have their own entries ("app@workspace:packages/app").
+export function parseYarnBerryLockfile(content) {
+  const entries = [];
+  const doc = parseYaml(content) || {};
+  delete doc.__metadata;
+
+  const byDescriptor = new Map();
+  for (const [key, info] of Object.entries(doc)) {
+    for (const descriptor of key.split(',')) byDescriptor.set(descriptor.trim(), info);
+  }
+  const resolve = (name, range) => byDescriptor.get(`${name}@${range}`) ?? byDescriptor.get(`${name}@npm:${range}`);
+  const isWorkspace = (info) => splitDescriptor(info?.resolution ?? '')[1].startsWith('workspace:');
+  const label = (info) => {
+    const [name] = splitDescriptor(info.resolution);
+    return isWorkspace(info) ? name : `${name}@${info.version}`;
+  };
+  // Dependencies of other workspaces are attributed to them
+  const dependencies = (info) => Object.entries(info.dependencies ?? {})
+    .map(([name, range]) => resolve(name, String(range)))
+    .filter((target) => target && !isWorkspace(target));
+
+  const workspaceInfos = Object.values(doc).filter(isWorkspace);
+  const walks = new Map(workspaceInfos
+    .map((info) => [splitDescriptor(info.resolution)[1].slice('workspace:'.length).replace(/^\.$/, ''), info])
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([dir, info]) => [dir, walkDependencies(info, dependencies, label)]));
+
+  for (const info of Object.values(doc)) {
+    if (!info?.resolution) continue;
+    const [name, reference] = splitDescriptor(info.resolution);
+    // Only registry packages can match a compromised npm version
+    // (workspace:, patch:, link:, git and file references are skipped)
+    if (!reference.startsWith('npm:')) continue;
+    const version = info.version ?? reference.slice(4);
+    entries.push({ name, version: String(version), ...attributeEntry(walks, info) });
+  }
+
+  return entries;
+}
+
+// pnpm lockfile - package keys differ by lockfile version
+//   v5:  /@scope/name/1.2.3_peer@1.0.0
+//   v6:  /@scope/name@1.2.3(peer@1.0.0)
+//   v9:  @scope/name@1.2.3 (peer suffixes only under "snapshots")
+// "importers" lists each workspace package's dependencies ("." is the root).
+export function parsePnpmLockfile(content) {
+  const entries = [];
+  const doc = parseYaml(content) || {};
+  const legacyKeys = parseFloat(doc.lockfileVersion) < 6;
+  const packageOf = (key, info) => {
+    const parsed = parsePnpmPackageKey(key, legacyKeys);
+    const name = info?.name ?? parsed?.name;
+    const version = info?.version ?? parsed?.version;
+    return name && version ? { name, version: String(version) } : null;
+  };
+
+  // v9 keeps the dependency graph under "snapshots"; single-project lockfiles before v9
+  // keep the root's dependencies at the top level
+  const graph = doc.snapshots ?? doc.packages ?? {};
+  const importers = doc.importers ?? { '.': doc };
+  const keyPrefix = legacyKeys || parseFloat(doc.lockfileVersion) < 9 ? '/' : '';
+  const resolve = (name, ref) => {
+    const version = typeof ref === 'object' ? ref?.version : ref;
+    if (!version || version.startsWith('link:')) return null;
+    const candidates = legacyKeys
+      ? [`/${name}/${version}`, version]
+      : [`${keyPrefix}${name}@${version}`, `${keyPrefix}${version}`, version];
+    return candidates.find((key) => graph[key]) ?? null;
+  };
+  const dependencies = (node, fields) => fields
+    .flatMap((field) => Object.entries(node?.[field] ?? {}))
+    .map(([name, ref]) => resolve(name, ref))
+    .filter(Boolean);
+  const label = (key) => {
+    const pkg = packageOf(key, doc.packages?.[key] ?? graph[key]);
+    return pkg ? `${pkg.name}@${pkg.version}` : key;
+  };
+
+  // Walk each importer; peer-dependency variants of a package share one entry
+  const walks = new Map(Object.entries(importers)
+    .map(([importer, deps]) => [importer === '.' ? '' : importer, deps])
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([dir, deps]) => {
+      const root = `importer:${dir}`;
+      const chains = walkDependencies(
+        root,
+        (key) => (key === root
+          ? dependencies(deps, ['dependencies', 'devDependencies', 'optionalDependencies'])
+          : dependencies(graph[key], ['dependencies', 'optionalDependencies'])),
+        (key) => (key === root ? dir || 'root' : label(key)),
+      );
+      const byPackage = new Map();
+      for (const chain of chains.values()) {
+        if (!byPackage.has(chain.at(-1))) byPackage.set(chain.at(-1), chain);
+      }
+      return [dir, byPackage];
+    }));
+
+  for (const [key, info] of Object.entries(doc.packages || {})) {
+    const pkg = packageOf(key, info);
+    if (pkg) entries.push({ ...pkg, ...attributeEntry(walks, `${pkg.name}@${pkg.version}`) });
+  }
+
+  return entries;
+}
+
+const parsePnpmPackageKey = (key, legacyKeys) => {
+  const trimmed = key.replace(/^\//, '');
+  if (legacyKeys) {
+    const segments = trimmed.split('/');
+    const version = segments.pop().split('_')[0];
+    return { name: segments.join('/'), version };
+  }
+  const [name, version] = splitDescriptor(trimmed.replace(/\(.*$/, ''));
+  return version ? { name, version } : null;
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Best-effort 1-based line number of a name@version entry, for reporting. Prefers entry
+// header lines ("node_modules/name": {, name@^1.0.0:, /name@1.0.0:) whose version appears
+// on the same or one of the next few lines.
+export function findLockfileLine(content, name, version) {
+  const lines = content.split('\n');
+  const nameRe = new RegExp(`(^|[\\s"'/])${escapeRegExp(name)}(["'@/:]|$)`);
+  const versionRe = new RegExp(`(^|[^\\w.-])${escapeRegExp(version)}($|[^\\w.-])`);
+  const isHeader = (line) => /[:{]\s*$/.test(line);
+
+  for (const headersOnly of [true, false]) {
+    for (let i = 0; i < lines.length; i++) {
+      if (!nameRe.test(lines[i]) || (headersOnly && !isHeader(lines[i]))) continue;
+      for (let j = i; j < Math.min(i + 8, lines.length); j++) {
+        if (versionRe.test(lines[j])) return i + 1;
+      }
+    }
+  }
+  return undefined;
+}
@@ -0,0 +1,46 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+export const defaultManifestCacheDir = () =>
+  join(process.env.XDG_CACHE_HOME || join(homedir(), '.cache'), 'jfrog-scan', 'manifests');
+
+// On-disk cache of fetched manifests keyed by git blob SHA, so re-scans only download
+// files that changed. A blob's content never changes, so entries never expire. Stores
+// package.json content and parsed lockfile entries (not lockfile content, which can be
+// megabytes); one file per blob under <dir>/<sha[0..2]>/<sha>.json.
+export class ManifestCache {
+  dir;
+  hits = 0;
+  misses = 0;
+
+  constructor({ dir = defaultManifestCacheDir() } = {}) {
+    this.dir = dir;
+  }
+
+  #path(sha) {
+    return join(this.dir, sha.slice(0, 2), `${sha}.json`);
+  }
+
+  async get(sha) {
+    try {
+      const value = JSON.parse(await readFile(this.#path(sha), 'utf8'));
+      this.hits++;
+      return value;
+    } catch (err) {
+      // Missing, or a partial write from an interrupted run: fetch again
+      if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) throw err;
+      this.misses++;
+      return undefined;
+    }
+  }
+
+  // Write to a temp file and rename, so parallel scans never read a partial entry
+  async set(sha, value) {
+    const path = this.#path(sha);
+    await mkdir(join(this.dir, sha.slice(0, 2)), { recursive: true });
+    const tmp = `${path}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+    await writeFile(tmp, JSON.stringify(value));
+    await rename(tmp, path);
+  }
+}
@@ -0,0 +1,525 @@
+import { valid, validRange } from 'semver';
+import { buildCompromisedMap, matchCompromisedRange, matchCompromisedVersion } from './compromised.js';
+import { entryPointType, findNpmInvocations } from './entryPoints.js';
+import {
+  LOCKFILE_NAMES,
+  attributeYarnV1Workspaces,
+  findLockfileLine,
+  isLockfilePath,
+  lockfileWorkspaces,
+  parseLockfile,
+  workspaceEntries,
+} from './lockfiles.js';
+import { createWorkspaceMatcher, workspacePatterns } from './workspaces.js';
+
+// Bumped whenever parsed lockfile entries gain fields, so older cache entries are re-parsed
+const LOCKFILE_ENTRIES_VERSION = 4;
+
+// Platform-independent manifest/lockfile evaluation, plus the workflows and Dockerfiles
+// that install or run npm packages (see entryPoints.js). Subclasses provide:
+//   listTreeFiles(repo, branch)         -> all file paths (excluding node_modules)
+//   getFileContent(repo, branch, path)  -> file content, or null if missing
+// and, to use a ManifestCache, override listTree(repo, branch) -> [{ path, sha }] with
+// each file's git blob SHA.
+export class ManifestScanner {
+  constructor({ manifestCache = null } = {}) {
+    this.manifestCache = manifestCache;
+  }
+
+  async listTree(repo, branch) {
+    return (await this.listTreeFiles(repo, branch)).map((path) => ({ path }));
+  }
+
+  // Find all package.json files in the repo
+  async findPackageJsonPaths(repo, branch) {
+    const files = await this.listTreeFiles(repo, branch);
+    return files.filter(path => path.endsWith('package.json'));
+  }
+
+  // Scan a single package.json location for compromised packages
+  // `files` (all tree paths) lets us find lockfiles in parent directories: a workspace
+  // root lockfile covers the workspace packages its package.json "workspaces" or
+  // pnpm-workspace.yaml selects, and its findings are attributed to the workspace that
+  // depends on them. `lockfileCache` and `workspaceCache` share parsed lockfiles and
+  // workspace definitions between package.json files on the same branch; `blobShas`
+  // (path -> blob SHA) enables the manifest cache
+  async scanPackageLocation(repo, branch, packageJsonPath, compromisedMap, { files, lockfileCache = new Map(), workspaceCache = new Map(), blobShas } = {}) {
+    const dir = packageJsonPath === 'package.json' ? '' : packageJsonPath.replace(/\/package\.json$/, '');
+    const context = { files, workspaceCache, blobShas };
+    
+    const result = {
+      repo,
+      branch,
+      path: packageJsonPath,
+      lockfileFound: false,
+      lockfiles: [],
+      critical: [],    // Exact matches in lockfile
+      danger: [],      // Semver range could match
+      caution: [],     // Package name matches but semver doesn't
+      errors: [],
+    };
+
+    // Get package.json
+    let packageJson;
+    let packageJsonContent;
+    try {
+      packageJsonContent = await this.#loadFile(repo, branch, packageJsonPath, blobShas?.get(packageJsonPath));
+      if (!packageJsonContent) return null;
+      packageJson = JSON.parse(packageJsonContent);
+    } catch (err) {
+      result.errors.push(`Failed to parse ${packageJsonPath}: ${err.message}`);
+      return result;
+    }
+
+    // Get lockfiles (optional) and check them for exact matches (CRITICAL)
+    const seen = new Set();
+    for (const lockfilePath of this.#lockfileCandidates(dir, files)) {
+      const lockDir = lockfilePath.includes('/') ? lockfilePath.slice(0, lockfilePath.lastIndexOf('/')) : '';
+      if (!lockfileCache.has(lockfilePath)) {
+        lockfileCache.set(lockfilePath, this.#loadLockfile(repo, branch, lockfilePath, blobShas?.get(lockfilePath))
+          .then((lockfile) => this.#attributeYarnWorkspaces(repo, branch, lockfile, lockDir, context)));
+      }
+      const { entries, content, error } = await lockfileCache.get(lockfilePath);
+      if (error) result.errors.push(error);
+      if (!entries) continue;
+
+      // A lockfile in an ancestor directory only covers workspace packages of that root
+      const workspaceDir = lockDir ? dir.slice(lockDir.length + 1) : dir;
+      if (workspaceDir) {
+        const workspace = await this.#loadWorkspace(repo, branch, lockDir, context);
+        if (!workspace?.matches(workspaceDir) && !lockfileWorkspaces(entries).has(workspaceDir)) continue;
+        result.workspaceRoot = lockDir || '.';
+      }
+
+      result.lockfileFound = true;
+      result.lockfiles.push(lockfilePath);
+      const matches = this.checkLockfile(workspaceEntries(entries, workspaceDir), compromisedMap, seen);
+      // Cached lockfiles have no content; fetch it only to locate findings (best effort)
+      const lockfileContent = matches.length > 0 ? await content().catch(() => null) : null;
+      for (const match of matches) {
+        result.critical.push({ ...match, lockfile: lockfilePath, line: lockfileContent ? findLockfileLine(lockfileContent, match.name, match.version) : undefined });
+      }
+    }
+
+    // Check package.json for semver and name matches
+    const { danger, caution } = this.#checkPackageJsonAllLevels(packageJson, compromisedMap);
+    const keyLines = danger.length + caution.length > 0 ? jsonKeyLines(packageJsonContent) : null;
+    const withLine = ({ keyPath, ...finding }) => ({ ...finding, line: findDeclarationLine(keyLines, keyPath) });
+    result.danger = danger.map(withLine);
+    result.caution = caution.map(withLine);
+
+    return result;
+  }
+
+  // Scan a workflow or Dockerfile for npx / npm install invocations of compromised
+  // packages: a pinned compromised version is CRITICAL; an unpinned package, dist-tag or
+  // range that allows one is DANGER; other versions of a compromised package are CAUTION
+  async scanEntryPoint(repo, branch, path, compromisedMap, { blobShas } = {}) {
+    const result = {
+      repo,
+      branch,
+      path,
+      entryPoint: entryPointType(path),
+      critical: [],
+      danger: [],
+      caution: [],
+      errors: [],
+    };
+
+    let content;
+    try {
+      content = await this.#loadFile(repo, branch, path, blobShas?.get(path));
+      if (!content) return null;
+    } catch (err) {
+      result.errors.push(`Failed to read ${path}: ${err.message}`);
+      return result;
+    }
+
+    for (const { name, spec, line, command } of findNpmInvocations(content)) {
+      if (!compromisedMap.has(name)) continue;
+      const badVersions = compromisedMap.get(name);
+      const compromisedVersions = Array.from(badVersions).slice(0, 3).join(', ');
+
+      if (spec && valid(spec)) {
+        const matched = matchCompromisedVersion(badVersions, spec);
+        if (matched) {
+          result.critical.push({ name, version: spec, ...(matched !== spec && { compromisedRange: matched }), command, line });
+        } else {
+          result.caution.push({ name, range: spec, compromisedVersions, command, line });
+        }
+        continue;
+      }
+
+      // Unpinned packages and dist-tags resolve to whatever is published when CI runs
+      const matchedVersion = matchCompromisedRange(badVersions, spec && validRange(spec) ? spec : '*');
+      if (matchedVersion) {
+        result.danger.push({ name, range: spec ?? 'latest', matchedVersion, command, line });
+      } else {
+        result.caution.push({ name, range: spec ?? 'latest', compromisedVersions, command, line });
+      }
+    }
+
+    return result;
+  }
+
+  // History mode: walk the commits that changed a lockfile since a date and report every
+  // compromised version it locked in that window, with the commit that introduced it
+  // (null: already locked when the window opened) and the one that removed it (null:
+  // still locked). Subclasses provide listFileCommits(repo, ref, path, since) ->
+  // [{ sha, parent, date, author: { name, email }, message }], newest first, and
+  // listChangedPaths(repo, ref, since) -> every path the commits in the window touched.
+  async scanLockfileHistory(repo, branch, lockfilePath, compromisedMap, since) {
+    const result = {
+      repo,
+      branch,
+      path: lockfilePath,
+      since: since.toISOString(),
+      exposures: [],
+      critical: [],
+      danger: [],
+      caution: [],
+      errors: [],
+    };
+
+    try {
+      const commits = (await this.listFileCommits(repo, branch, lockfilePath, since)).reverse();
+      // The lockfile as it was when the window opened (the tip, if nothing changed since)
+      const baseline = commits.length > 0 ? commits[0].parent : branch;
+      const locked = new Map();
+      if (baseline) {
+        for (const [key, match] of (await this.#compromisedAt(repo, baseline, lockfilePath, compromisedMap, result)) ?? []) {
+          locked.set(key, { ...match, introduced: null });
+        }
+      }
+
+      for (const commit of commits) {
+        const current = await this.#compromisedAt(repo, commit.sha, lockfilePath, compromisedMap, result);
+        if (!current) continue;
+        for (const [key, exposure] of locked) {
+          if (current.has(key)) continue;
+          result.exposures.push({ ...exposure, removed: commit });
+          locked.delete(key);
+        }
+        for (const [key, match] of current) {
+          if (!locked.has(key)) locked.set(key, { ...match, introduced: commit });
+        }
+      }
+      for (const exposure of locked.values()) result.exposures.push({ ...exposure, removed: null });
+    } catch (err) {
+      result.errors.push(`Failed to read history of ${lockfilePath}: ${err.message}`);
+    }
+
+    return result;
+  }
+
+  // Compromised versions locked at a commit: Map<name@version, match>. Empty when the
+  // lockfile did not exist; null (with an error recorded) when it could not be parsed.
+  async #compromisedAt(repo, ref, lockfilePath, compromisedMap, result) {
+    const content = await this.getFileContent(repo, ref, lockfilePath);
+    if (!content) return new Map();
+    try {
+      const matches = this.checkLockfile(parseLockfile(lockfilePath, content), compromisedMap);
+      // Keep just what identifies the version
+      return new Map(matches.map(({ name, version, compromisedRange }) => [
+        `${name}@${version}`,
+        { name, version, ...(compromisedRange && { compromisedRange }) },
+      ]));
+    } catch (err) {
+      result.errors.push(`Failed to parse ${lockfilePath} at ${ref}: ${err.message}`);
+      return null;
+    }
+  }
+
+  // Lockfiles that cover a package directory: those in the nearest directory (the
+  // package's own, or an ancestor up to the repo root) that contains any lockfile.
+  // Without a file listing we can only probe the package's own directory.
+  #lockfileCandidates(dir, files) {
+    const join = (d, name) => (d ? `${d}/${name}` : name);
+    if (!files) return LOCKFILE_NAMES.map((name) => join(dir, name));
+
+    const lockfiles = new Set(files.filter(isLockfilePath));
+    let current = dir;
+    while (true) {
+      const found = LOCKFILE_NAMES.map((name) => join(current, name)).filter((p) => lockfiles.has(p));
+      if (found.length > 0) return found;
+      if (!current) return [];
+      current = current.includes('/') ? current.slice(0, current.lastIndexOf('/')) : '';
+    }
+  }
+
+  // Workspace definition of a monorepo root directory: { matches(dir), members } where
+  // members are the workspace package directories (relative to the root) in the tree.
+  // null when the root declares no workspaces.
+  #loadWorkspace(repo, branch, rootDir, { files, workspaceCache, blobShas }) {
+    if (!workspaceCache.has(rootDir)) {
+      workspaceCache.set(rootDir, (async () => {
+        const join = (name) => (rootDir ? `${rootDir}/${name}` : name);
+        const exists = (path) => !files || files.includes(path);
+        try {
+          const packageJsonPath = join('package.json');
+          const packageJson = exists(packageJsonPath)
+            ? await this.#loadFile(repo, branch, packageJsonPath, blobShas?.get(packageJsonPath))
+            : null;
+          const pnpmWorkspace = exists(join('pnpm-workspace.yaml'))
+            ? await this.getFileContent(repo, branch, join('pnpm-workspace.yaml'))
+            : null;
+          const patterns = workspacePatterns(packageJson ? JSON.parse(packageJson) : null, pnpmWorkspace);
+          if (patterns.length === 0) return null;
+          const matches = createWorkspaceMatcher(patterns);
+          const prefix = rootDir ? `${rootDir}/` : '';
+          const members = (files ?? [])
+            .filter((path) => path.endsWith('/package.json') && path.startsWith(prefix))
+            .map((path) => path.slice(prefix.length, -'/package.json'.length))
+            .filter(matches);
+          return { matches, members };
+        } catch {
+          // Unreadable workspace definition: treat the root as a single project
+          return null;
+        }
+      })());
+    }
+    return workspaceCache.get(rootDir);
+  }
+
+  // Yarn classic lockfiles do not record which workspace depends on what; attribute
+  // their entries by walking each workspace package's dependencies
+  async #attributeYarnWorkspaces(repo, branch, lockfile, lockDir, context) {
+    if (!lockfile.entries?.some((entry) => entry.descriptors)) return lockfile;
+    const workspace = await this.#loadWorkspace(repo, branch, lockDir, context);
+    if (!workspace) return lockfile;
+
+    const packageJsons = new Map();
+    for (const member of ['', ...workspace.members]) {
+      const path = [lockDir, member, 'package.json'].filter(Boolean).join('/');
+      try {
+        const content = await this.#loadFile(repo, branch, path, context.blobShas?.get(path));
+        if (content) packageJsons.set(member, JSON.parse(content));
+      } catch {
+        // Reported when the package.json itself is scanned
+      }
+    }
+    return { ...lockfile, entries: attributeYarnV1Workspaces(lockfile.entries, packageJsons) };
+  }
+
+  // Text file content (package.json, workflows, Dockerfiles), through the manifest cache
+  async #loadFile(repo, branch, path, sha) {
+    const cached = sha && (await this.manifestCache?.get(sha));
+    if (cached) return cached.content;
+    const content = await this.getFileContent(repo, branch, path);
+    if (sha && content && this.manifestCache) await this.manifestCache.set(sha, { content });
+    return content;
+  }
+
+  // Returns { entries, content } where content() lazily provides the lockfile text
+  async #loadLockfile(repo, branch, lockfilePath, sha) {
+    try {
+      const cached = sha && (await this.manifestCache?.get(sha));
+      if (cached?.entriesVersion === LOCKFILE_ENTRIES_VERSION) {
+        let content;
+        return { entries: cached.entries, content: () => (content ??= this.getFileContent(repo, branch, lockfilePath)) };
+      }
+      const content = await this.getFileContent(repo, branch, lockfilePath);
+      if (!content) return {};
+      const entries = parseLockfile(lockfilePath, content);
+      if (sha && this.manifestCache) await this.manifestCache.set(sha, { entries, entriesVersion: LOCKFILE_ENTRIES_VERSION });
+      return { entries, content: async () => content };
+    } catch (err) {
+      return { error: `Failed to parse ${lockfilePath}: ${err.message}` };
+    }
+  }
+
+  // Scan a single repo/branch for compromised packages; with `since`, also report the
+  // lockfile history since that date
+  async scanBranch(repo, branch, compromisedMap, { since } = {}) {
+    const results = [];
+    
+    // Find all package.json files (and lockfiles) in the repo
+    const tree = await this.listTree(repo, branch);
+    const files = tree.map((item) => item.path);
+    const blobShas = new Map(tree.filter((item) => item.sha).map((item) => [item.path, item.sha]));
+    const packageJsonPaths = files.filter(path => path.endsWith('package.json'));
+    const lockfileCache = new Map();
+    const workspaceCache = new Map();
+    
+    for (const path of packageJsonPaths) {
+      const result = await this.scanPackageLocation(repo, branch, path, compromisedMap, { files, lockfileCache, workspaceCache, blobShas });
+      if (result) {
+        results.push(result);
+      }
+    }
+
+    // Workflows and Dockerfiles that install or run packages
+    for (const path of files.filter(entryPointType)) {
+      const result = await this.scanEntryPoint(repo, branch, path, compromisedMap, { blobShas });
+      if (result) results.push(result);
+    }
+
+    if (since) {
+      // Lockfiles at the tip, plus any the window's commits touched: one deleted or renamed
+      // since then may still have locked a compromised version. A lockfile in the tree when
+      // the window opened is either untouched (so still at the tip) or touched.
+      const lockfilePaths = new Set(files.filter(isLockfilePath));
+      for (const path of await this.listChangedPaths(repo, branch, since)) {
+        if (isLockfilePath(path) && !path.includes('node_modules/')) lockfilePaths.add(path);
+      }
+      for (const path of lockfilePaths) {
+        results.push(await this.scanLockfileHistory(repo, branch, path, compromisedMap, since));
+      }
+    }
+    
+    return results;
+  }
+
+  // Check parsed lockfile (or installed package) entries against compromised versions
+  // and ranges; matches via a range record it as compromisedRange
+  checkLockfile(entries, compromisedMap, seen = new Set()) {
+    const matches = [];
+    for (const entry of entries) {
+      const { name, version } = entry;
+      const key = `${name}@${version}`;
+      if (name && version && compromisedMap.has(name) && !seen.has(key)) {
+        const matched = matchCompromisedVersion(compromisedMap.get(name), version);
+        if (matched) {
+          seen.add(key);
+          matches.push(matched === version ? { ...entry } : { ...entry, compromisedRange: matched });
+        }
+      }
+    }
+    return matches;
+  }
+
+  // Check package.json for both semver matches (DANGER) and name-only matches (CAUTION),
+  // in every place a manifest can pin or pull in a version (see manifestDeclarations)
+  #checkPackageJsonAllLevels(packageJson, compromisedMap) {
+    const danger = [];
+    const caution = [];
+
+    for (const { name, range, keyPath, alias } of manifestDeclarations(packageJson)) {
+      if (!compromisedMap.has(name)) continue;
+      const badVersions = compromisedMap.get(name);
+      const where = { declaredIn: keyPath.join('.'), ...(alias && { alias }), keyPath };
+
+      // Check if any compromised version satisfies (or compromised range intersects) the semver range
+      const matchedVersion = matchCompromisedRange(badVersions, range);
+
+      if (matchedVersion) {
+        danger.push({ name, range, matchedVersion, ...where });
+      } else {
+        // Name matches but semver doesn't - CAUTION level
+        caution.push({ name, range, compromisedVersions: Array.from(badVersions).slice(0, 3).join(', '), ...where });
+      }
+    }
+
+    return { danger, caution };
+  }
+}
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+// "npm:real@range" alias specs install `real`; yarn also accepts "npm:range" for the
+// package itself
+const resolveAlias = (name, spec) => {
+  if (typeof spec !== 'string' || !spec.startsWith('npm:')) return { name, range: spec };
+  const target = spec.slice('npm:'.length);
+  const at = target.indexOf('@', 1);
+  return at === -1 ? { name, range: target } : { name: target.slice(0, at), range: target.slice(at + 1), alias: name };
+};
+
+// Package name in an override selector: "foo@^1" (npm), "**/foo" or "a/@scope/b" (yarn
+// resolutions), "a>foo@<2" (pnpm). A pnpm chain is split on the ">" between selectors,
+// not on the comparators of a range ("foo@>=1", "a@1>foo@>1 || >2"), which follow "@",
+// whitespace or "|", or are ">=".
+const selectorName = (selector) => {
+  const segments = selector.split(/(?<![@\s|])>(?!=)/).pop().split('/');
+  let last = segments.pop();
+  if (segments.at(-1)?.startsWith('@')) last = `${segments.pop()}/${last}`;
+  const at = last.indexOf('@', 1);
+  return at === -1 ? last : last.slice(0, at);
+};
+
+// Every dependency declaration in a package.json: the dependency fields, npm "overrides"
+// (nested objects, "." for the package itself, "$name" references), Yarn "resolutions" and
+// "pnpm.overrides". Returns [{ name, range, keyPath, alias? }] where name is the package
+// actually installed (the target of an npm: alias) and keyPath locates the declaration.
+const manifestDeclarations = (packageJson) => {
+  const declarations = [];
+  const add = (key, spec, keyPath) => {
+    if (typeof spec !== 'string' || spec === '-') return;
+    // "$foo" reuses the spec of the root's direct dependency foo
+    if (spec.startsWith('$')) {
+      const ref = spec.slice(1);
+      spec = DEPENDENCY_FIELDS.map((field) => packageJson[field]?.[ref]).find((s) => typeof s === 'string');
+      if (!spec) return;
+    }
+    const { name, range, alias } = resolveAlias(selectorName(key), spec);
+    declarations.push({ name, range, keyPath, ...(alias && { alias }) });
+  };
+
+  for (const field of DEPENDENCY_FIELDS) {
+    for (const [name, spec] of Object.entries(packageJson[field] ?? {})) add(name, spec, [field, name]);
+  }
+
+  const addOverrides = (overrides, keyPath) => {
+    for (const [key, value] of Object.entries(overrides ?? {})) {
+      if (value && typeof value === 'object') {
+        if (value['.'] !== undefined) add(key, value['.'], [...keyPath, key, '.']);
+        addOverrides(Object.fromEntries(Object.entries(value).filter(([k]) => k !== '.')), [...keyPath, key]);
+      } else {
+        add(key, value, [...keyPath, key]);
+      }
+    }
+  };
+  addOverrides(packageJson.overrides, ['overrides']);
+  for (const [key, value] of Object.entries(packageJson.resolutions ?? {})) add(key, value, ['resolutions', key]);
+  for (const [key, value] of Object.entries(packageJson.pnpm?.overrides ?? {})) add(key, value, ['pnpm', 'overrides', key]);
+
+  return declarations;
+};
+
+// 1-based line of every object key in package.json text, by key path (joined with \0).
+// JSON.parse keeps no positions, so this scans the text, tracking the enclosing keys. A
+// repeated key keeps its last line, as JSON.parse keeps its last value.
+const jsonKeyLines = (content) => {
+  const keyLines = new Map();
+  // One frame per open object ({ key }) or array ({ index })
+  const stack = [];
+  let line = 1;
+  let expectKey = false;
+  for (let i = 0; i < content.length; i++) {
+    const c = content[i];
+    if (c === '\n') {
+      line++;
+    } else if (c === '"') {
+      let end = i + 1;
+      while (end < content.length && content[end] !== '"') end += content[end] === '\\' ? 2 : 1;
+      if (expectKey) {
+        const frame = stack.at(-1);
+        try {
+          frame.key = JSON.parse(content.slice(i, end + 1));
+        } catch {
+          return keyLines;
+        }
+        keyLines.set(stack.map((f) => f.key ?? String(f.index)).join('\0'), line);
+        expectKey = false;
+      }
+      i = end;
+    } else if (c === '{') {
+      stack.push({ key: null });
+      expectKey = true;
+    } else if (c === '[') {
+      stack.push({ index: 0 });
+    } else if (c === '}' || c === ']') {
+      stack.pop();
+    } else if (c === ',') {
+      const frame = stack.at(-1);
+      if (frame?.index !== undefined) frame.index++;
+      else expectKey = true;
+    }
+  }
+  return keyLines;
+};
+
+// 1-based line of a declaration in package.json
+const findDeclarationLine = (keyLines, keyPath) => keyLines.get(keyPath.join('\0'));
+
+export { buildCompromisedMap };
@@ -0,0 +1,225 @@
+import { readdir, readFile, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+import { inflateRawSync } from 'node:zlib';
+import { validRange } from 'semver';
+
+// Parsers for maintained advisory feeds:
+//   - OSV records (https://ossf.github.io/osv-schema/), including MAL- entries from
+//     github.com/ossf/malicious-packages and the GHSA-* files in github/advisory-database
+//   - GitHub Security Advisory REST API objects (GET /advisories, /repos/.../security-advisories)
+// Sources can be a single JSON file, a directory (e.g. a local clone), a .zip archive
+// (e.g. a repo archive or https://osv-vulnerabilities.storage.googleapis.com/npm/all.zip)
+// or an http(s) URL to a .json/.zip file.
+
+// Convert OSV range events into a semver range string
+//   [{introduced: '0'}]                          -> '*'
+//   [{introduced: '4.2.0'}, {fixed: '4.2.3'}]    -> '>=4.2.0 <4.2.3'
+//   [{introduced: '1.0.0'}, {last_affected: '1.0.5'}] -> '>=1.0.0 <=1.0.5'
+export function osvEventsToRange(events) {
+  const intervals = [];
+  let lower = null;
+  for (const event of events ?? []) {
+    if (event.introduced !== undefined) {
+      lower = event.introduced === '0' ? '' : `>=${event.introduced}`;
+    } else if (lower !== null && (event.fixed !== undefined || event.last_affected !== undefined)) {
+      const upper = event.fixed !== undefined ? `<${event.fixed}` : `<=${event.last_affected}`;
+      intervals.push([lower, upper].filter(Boolean).join(' '));
+      lower = null;
+    }
+  }
+  if (lower !== null) intervals.push(lower || '*');
+  return intervals.length ? intervals.join(' || ') : null;
+}
+
+// Convert a GHSA vulnerable_version_range (">= 4.2.0, < 4.2.3", "= 1.0.0") to semver
+export function ghsaRangeToSemver(range) {
+  const normalized = range
+    .split(',')
+    .map((part) => part.trim().replace(/^(>=|<=|>|<|=)\s*/, (op) => (op.trim() === '=' ? '' : op.trim())))
+    .filter(Boolean)
+    .join(' ');
+  return validRange(normalized) ? normalized : null;
+}
+
+// Malicious-package records: OSSF MAL- ids (or aliases) and GHSA "malware" advisories
+export const isMaliciousAdvisory = (advisory) =>
+  [advisory.id, advisory.ghsa_id, ...(advisory.aliases ?? [])].some((id) => id?.startsWith('MAL-'))
+  || advisory.type === 'malware';
+
+// Turn one OSV record or GHSA API object into name@version specs for npm packages.
+// Enumerated versions become exact specs; ranges without an enumeration are kept as
+// name@<semver range> specs (e.g. "typosquat@*" for an all-versions malicious package).
+export function extractImpactedFromAdvisory(advisory, { maliciousOnly = false } = {}) {
+  const specs = [];
+  if (!advisory || typeof advisory !== 'object' || advisory.withdrawn) return specs;
+  if (maliciousOnly && !isMaliciousAdvisory(advisory)) return specs;
+
+  // OSV format
+  for (const affected of advisory.affected ?? []) {
+    const pkg = affected.package;
+    if (pkg?.ecosystem?.toLowerCase() !== 'npm' || !pkg.name) continue;
+    if (affected.versions?.length) {
+      affected.versions.forEach((v) => specs.push(`${pkg.name}@${v}`));
+      continue;
+    }
+    for (const range of affected.ranges ?? []) {
+      if (range.type !== 'SEMVER' && range.type !== 'ECOSYSTEM') continue;
+      const semverRange = osvEventsToRange(range.events);
+      if (semverRange) specs.push(`${pkg.name}@${semverRange}`);
+    }
+  }
+
+  // GitHub Security Advisory REST API format
+  for (const vuln of advisory.vulnerabilities ?? []) {
+    const pkg = vuln.package;
+    if (pkg?.ecosystem?.toLowerCase() !== 'npm' || !pkg.name || !vuln.vulnerable_version_range) continue;
+    const semverRange = ghsaRangeToSemver(vuln.vulnerable_version_range);
+    if (semverRange) specs.push(`${pkg.name}@${semverRange}`);
+  }
+
+  return specs;
+}
+
+// Parse JSON text holding one advisory, an array of advisories, or { vulns: [...] }
+// (the OSV query API response shape)
+export function extractImpactedFromAdvisoryJson(content, options) {
+  const doc = JSON.parse(content);
+  const advisories = Array.isArray(doc) ? doc : Array.isArray(doc?.vulns) ? doc.vulns : [doc];
+  return advisories.flatMap((advisory) => extractImpactedFromAdvisory(advisory, options));
+}
+
+// Load specs from a file, directory, zip archive or URL of OSV/GHSA records.
+// `maliciousOnly` skips ordinary vulnerability advisories (e.g. in OSV's npm all.zip).
+export async function loadAdvisorySource(source, options = {}) {
+  let specs;
+  if (/^https?:\/\//.test(source)) {
+    const res = await fetch(source, { signal: AbortSignal.timeout(300000) });
+    if (!res.ok) throw new Error(`Failed to fetch ${source}: ${res.status} ${res.statusText}`);
+    const buffer = Buffer.from(await res.arrayBuffer());
+    specs = isZip(buffer) ? extractFromZip(buffer, options) : extractImpactedFromAdvisoryJson(buffer.toString('utf8'), options);
+  } else if ((await stat(source)).isDirectory()) {
+    specs = await extractFromDirectory(source, options);
+  } else {
+    const buffer = await readFile(source);
+    specs = isZip(buffer) ? extractFromZip(buffer, options) : extractImpactedFromAdvisoryJson(buffer.toString('utf8'), options);
+  }
+  // Dedupe
+  return Array.from(new Set(specs));
+}
+
+const extractFromDirectory = async (root, options) => {
+  // In a clone of ossf/malicious-packages, only the npm records are of interest
+  const npmDir = join(root, 'osv', 'malicious', 'npm');
+  const start = await stat(npmDir).then((s) => (s.isDirectory() ? npmDir : root), () => root);
+
+  const specs = [];
+  const walk = async (dir) => {
+    for (const dirent of await readdir(dir, { withFileTypes: true })) {
+      const path = join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        if (dirent.name !== '.git' && dirent.name !== 'node_modules') await walk(path);
+      } else if (dirent.name.endsWith('.json')) {
+        try {
+          specs.push(...extractImpactedFromAdvisoryJson(await readFile(path, 'utf8'), options));
+        } catch {
+          // Not an advisory record (e.g. tooling config in a repo clone)
+        }
+      }
+    }
+  };
+  await walk(start);
+  return specs;
+};
+
+const extractFromZip = (buffer, options) => {
+  const specs = [];
+  for (const { name, read } of readZipEntries(buffer)) {
+    if (!name.endsWith('.json')) continue;
+    // An entry we cannot decompress fails the source rather than silently dropping records
+    const content = read().toString('utf8');
+    try {
+      specs.push(...extractImpactedFromAdvisoryJson(content, options));
+    } catch {
+      // Not an advisory record
+    }
+  }
+  return specs;
+};
+
+const isZip = (buffer) => buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+
+// Minimal zip reader (stored/deflated entries, zip64) over an in-memory archive.
+// Yields { name, read() } for each file entry. Split archives, encrypted entries and
+// other compression methods are rejected. Sizes come from the central directory, so
+// entries written with data descriptors read fine.
+function* readZipEntries(buffer) {
+  // End of central directory record: scan back over the trailing comment
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Invalid zip archive (no end of central directory)');
+
+  let disk = buffer.readUInt16LE(eocd + 4);
+  let count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  // Zip64: archives with >65535 entries or >4GB offsets
+  const locator = eocd - 20;
+  if (locator >= 0 && buffer.readUInt32LE(locator) === 0x07064b50) {
+    const eocd64 = Number(buffer.readBigUInt64LE(locator + 8));
+    disk = buffer.readUInt32LE(eocd64 + 16);
+    count = Number(buffer.readBigUInt64LE(eocd64 + 32));
+    offset = Number(buffer.readBigUInt64LE(eocd64 + 48));
+  }
+  if (disk !== 0) throw new Error('Unsupported zip archive (split across several files)');
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Invalid zip archive (bad central directory)');
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    let compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    let localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    // Zip64 extended information extra field replaces 0xFFFFFFFF values, in order
+    if (compressedSize === 0xffffffff || localOffset === 0xffffffff) {
+      let extra = offset + 46 + nameLength;
+      const extraEnd = extra + extraLength;
+      while (extra + 4 <= extraEnd) {
+        const id = buffer.readUInt16LE(extra);
+        const size = buffer.readUInt16LE(extra + 2);
+        if (id === 0x0001) {
+          let field = extra + 4;
+          if (buffer.readUInt32LE(offset + 24) === 0xffffffff) field += 8; // uncompressed size
+          if (compressedSize === 0xffffffff) {
+            compressedSize = Number(buffer.readBigUInt64LE(field));
+            field += 8;
+          }
+          if (localOffset === 0xffffffff) localOffset = Number(buffer.readBigUInt64LE(field));
+          break;
+        }
+        extra += 4 + size;
+      }
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) throw new Error(`Unsupported zip entry ${name} (encrypted)`);
+
+    yield {
+      name,
+      read: () => {
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) return data;
+        if (method === 8) return inflateRawSync(data);
+        throw new Error(`Unsupported zip entry ${name} (compression method ${method})`);
+      },
+    };
+  }
+}
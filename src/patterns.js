@@ -0,0 +1,36 @@
+// Name patterns for selecting branches (and other names) on the command line:
+//   /regex/flags  -> regular expression (e.g. /^release-\d+$/)
+//   anything else -> glob: '*' matches within a path segment, '**' across segments,
+//                    '?' one character (e.g. release/*, feature/**)
+export function compilePattern(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    try {
+      return new RegExp(regex[1], regex[2]);
+    } catch (err) {
+      throw new Error(`Invalid pattern ${pattern}: ${err.message}`);
+    }
+  }
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Build a predicate that is true when a name matches any of the patterns
+export const createMatcher = (patterns) => {
+  const compiled = patterns.map(compilePattern);
+  return (name) => compiled.some((re) => re.test(name));
+};
@@ -0,0 +1,120 @@
+import { appendFile, readFile, writeFile } from 'node:fs/promises';
+import { userInfo } from 'node:os';
+
+// Remediation of compromised tarballs found in the Artifactory cache. A dry run writes a
+// plan file; applying a plan carries out exactly what was previewed:
+//   tag        - set the jfrog-scan.* properties on each tarball
+//   quarantine - tag, then move each tarball to a quarantine repository
+//   delete     - delete each tarball (a remote repository fetches it again on request,
+//                so pair this with exclude patterns)
+export const REMEDIATION_ACTIONS = ['tag', 'quarantine', 'delete'];
+
+// Plan file format, bumped on incompatible changes
+const PLAN_VERSION = 1;
+
+// One plan artifact per cached compromised tarball (cacheResults are
+// ArtifactoryClient.checkCache results). specSources maps each compromised name@version
+// (or name@range) spec to the advisory sources that list it.
+export function buildRemediationPlan(cacheResults, { client, action, quarantineRepo, specSources }) {
+  const artifacts = new Map();
+  for (const r of cacheResults) {
+    if (!r.existsInCache) continue;
+    // A virtual repository's hit lives in the member that holds the tarball
+    const repository = r.resolvedRepo ?? r.repository;
+    const path = client.tarballPath(r.package, r.version);
+    const spec = `${r.package}@${r.compromisedRange ?? r.version}`;
+    artifacts.set(`${repository}/${path}`, {
+      repository,
+      path,
+      package: r.package,
+      version: r.version,
+      sources: specSources.get(spec) ?? [],
+      lastDownloaded: r.lastDownloaded,
+      downloadCount: r.additional?.downloadCount,
+    });
+  }
+  return {
+    version: PLAN_VERSION,
+    createdAt: new Date().toISOString(),
+    baseUrl: client.baseUrl,
+    action,
+    ...(action === 'quarantine' && { quarantineRepo }),
+    artifacts: [...artifacts.values()],
+  };
+}
+
+export async function writeRemediationPlan(path, plan) {
+  await writeFile(path, `${JSON.stringify(plan, null, 2)}\n`);
+}
+
+export async function readRemediationPlan(path) {
+  let plan;
+  try {
+    plan = JSON.parse(await readFile(path, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new Error(`No remediation plan at ${path}; preview the changes with --dry-run first`);
+    throw new Error(`Failed to read remediation plan ${path}: ${err.message}`);
+  }
+  if (plan.version !== PLAN_VERSION || !REMEDIATION_ACTIONS.includes(plan.action) || !Array.isArray(plan.artifacts)) {
+    throw new Error(`Invalid remediation plan ${path}; write a new one with --dry-run`);
+  }
+  return plan;
+}
+
+// Properties marking a tarball as compromised
+const compromisedProperties = (artifact, at) => ({
+  'jfrog-scan.compromised': 'true',
+  ...(artifact.sources.length > 0 && { 'jfrog-scan.advisory-source': artifact.sources }),
+  'jfrog-scan.remediated-at': at,
+});
+
+// Append-only JSONL log of every planned and attempted change, with who ran it and when
+export class RemediationAuditLog {
+  path;
+  #user;
+
+  constructor({ path }) {
+    this.path = path;
+    try {
+      this.#user = userInfo().username;
+    } catch {
+      this.#user = process.env.USER ?? null;
+    }
+  }
+
+  async record(entry) {
+    await appendFile(this.path, `${JSON.stringify({ at: new Date().toISOString(), user: this.#user, ...entry })}\n`);
+  }
+}
+
+// Carry out a plan, one artifact at a time. Each step is logged before moving on, and a
+// failed artifact does not stop the others. Returns [{ artifact, ok, error? }].
+export async function applyRemediationPlan(plan, client, auditLog, onArtifact) {
+  const outcomes = [];
+  for (const artifact of plan.artifacts) {
+    const { repository, path } = artifact;
+    const steps = [];
+    if (plan.action !== 'delete') {
+      steps.push(['set-properties', () => client.setProperties(repository, path, compromisedProperties(artifact, new Date().toISOString()))]);
+    }
+    if (plan.action === 'quarantine') {
+      steps.push(['move', () => client.moveItem(repository, path, plan.quarantineRepo), { target: plan.quarantineRepo }]);
+    }
+    if (plan.action === 'delete') steps.push(['delete', () => client.deleteItem(repository, path)]);
+
+    let outcome = { artifact, ok: true };
+    for (const [step, run, details] of steps) {
+      try {
+        await run();
+        await auditLog.record({ event: step, baseUrl: plan.baseUrl, repository, path, ...details, ok: true });
+      } catch (err) {
+        await auditLog.record({ event: step, baseUrl: plan.baseUrl, repository, path, ...details, ok: false, error: err.message });
+        outcome = { artifact, ok: false, error: `${step}: ${err.message}` };
+        break;
+      }
+    }
+    outcomes.push(outcome);
+    if (onArtifact) onArtifact(outcome);
+  }
+  return outcomes;
+}
@@ -0,0 +1,47 @@
+import { createMatcher } from './patterns.js';
+
+// Build a predicate selecting which repositories of an org to scan. Repositories use the
+// GitHub REST shape (name, full_name, topics, language, archived, fork, is_template,
+// visibility, pushed_at). Every given criterion must hold:
+//   names          - exact names or owner/name (e.g. from --repos-file)
+//   include        - name globs or /regex/; the repo must match one
+//   exclude        - name globs or /regex/; the repo must match none
+//   topics         - the repo must have one of these topics
+//   excludeTopics  - the repo must have none of these topics
+//   languages      - primary language, case-insensitive
+//   archived, forks, templates - 'include' (default), 'exclude' or 'only'
+//   visibility     - allowed visibilities (public, private, internal)
+//   pushedAfter    - Date; skip repos not pushed to since
+export function createRepoFilter({
+  names,
+  include = [],
+  exclude = [],
+  topics = [],
+  excludeTopics = [],
+  languages = [],
+  archived = 'include',
+  forks = 'include',
+  templates = 'include',
+  visibility = [],
+  pushedAfter,
+} = {}) {
+  const nameSet = names ? new Set(names.map((n) => n.toLowerCase())) : null;
+  const included = include.length > 0 ? createMatcher(include) : null;
+  const excluded = exclude.length > 0 ? createMatcher(exclude) : null;
+  const languageSet = new Set(languages.map((l) => l.toLowerCase()));
+  const flag = (mode, value) => mode === 'include' || (mode === 'only' ? Boolean(value) : !value);
+
+  return (repo) => {
+    if (nameSet && !nameSet.has(repo.name.toLowerCase()) && !nameSet.has(repo.full_name?.toLowerCase())) return false;
+    if (included && !included(repo.name)) return false;
+    if (excluded && excluded(repo.name)) return false;
+    const repoTopics = repo.topics ?? [];
+    if (topics.length > 0 && !topics.some((t) => repoTopics.includes(t))) return false;
+    if (excludeTopics.some((t) => repoTopics.includes(t))) return false;
+    if (languageSet.size > 0 && !languageSet.has(repo.language?.toLowerCase())) return false;
+    if (!flag(archived, repo.archived) || !flag(forks, repo.fork) || !flag(templates, repo.is_template)) return false;
+    if (visibility.length > 0 && !visibility.includes(repo.visibility ?? (repo.private ? 'private' : 'public'))) return false;
+    if (pushedAfter && !(repo.pushed_at && new Date(repo.pushed_at) >= pushedAfter)) return false;
+    return true;
+  };
+}
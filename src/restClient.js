@@ -0,0 +1,72 @@
+import { createLimiter, sleep } from './concurrency.js';
+
+// Statuses worth retrying: rate limiting and transient server/proxy failures
+export const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+export const MAX_BACKOFF_MS = 60000;
+
+// Small fetch wrapper for the self-hosted Git platforms' REST APIs: a shared concurrency
+// limit, and retries of 429/5xx responses and network errors with exponential backoff
+// (honoring Retry-After)
+export class RestClient {
+  baseUrl;
+  headers;
+  maxRetries;
+  onRetry;
+  #limit;
+
+  constructor({ baseUrl, headers = {}, concurrency = 8, maxRetries = 5, onRetry }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.headers = { Accept: 'application/json', ...headers };
+    this.maxRetries = maxRetries;
+    this.onRetry = onRetry;
+    this.#limit = createLimiter(concurrency);
+  }
+
+  // GET a path (relative to baseUrl) with query parameters. Returns { status, headers, data }
+  // where data is parsed JSON, or text with `text: true`; a 404 returns data null.
+  async get(path, query = {}, { text = false } = {}) {
+    const url = new URL(`${this.baseUrl}${path}`);
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined) url.searchParams.set(key, value);
+    }
+    return this.#limit(async () => {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await this.#fetch(url, text);
+        } catch (err) {
+          if (!err.retryable || attempt >= this.maxRetries) throw err;
+          const delay = err.retryAfter ?? Math.min(1000 * 2 ** attempt, MAX_BACKOFF_MS) * (0.5 + Math.random() / 2);
+          if (this.onRetry) this.onRetry({ url: url.href, status: err.status, attempt: attempt + 1, delay, message: err.message });
+          await sleep(delay);
+        }
+      }
+    });
+  }
+
+  async #fetch(url, text) {
+    let res;
+    try {
+      res = await fetch(url, { headers: this.headers, signal: AbortSignal.timeout(30000) });
+    } catch (err) {
+      // Network failure or timeout
+      throw Object.assign(new Error(err.name === 'TimeoutError' ? 'Request timed out' : err.message), { retryable: true });
+    }
+    if (res.status === 404) return { status: 404, headers: res.headers, data: null };
+    if (!res.ok) {
+      const body = await res.text().catch(() => '');
+      throw Object.assign(new Error(`${url.pathname}: ${res.status} ${res.statusText}${body ? ` - ${body.slice(0, 200)}` : ''}`), {
+        status: res.status,
+        retryable: RETRY_STATUSES.has(res.status),
+        retryAfter: parseRetryAfter(res.headers.get('retry-after')),
+      });
+    }
+    return { status: res.status, headers: res.headers, data: text ? await res.text() : await res.json() };
+  }
+}
+
+// Retry-After is either delay-seconds or an HTTP date; returns milliseconds
+export const parseRetryAfter = (value) => {
+  if (!value) return undefined;
+  const ms = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), MAX_BACKOFF_MS) : undefined;
+};
@@ -0,0 +1,142 @@
+import { readFileSync } from 'node:fs';
+import { dependencyKinds } from './lockfiles.js';
+
+const { version: TOOL_VERSION } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+// One rule per severity level of the manifest scanners
+export const SARIF_RULES = [
+  {
+    id: 'compromised-lockfile-pin',
+    name: 'CompromisedLockfilePin',
+    shortDescription: { text: 'Lockfile pins a compromised package version' },
+    fullDescription: { text: 'A lockfile (or installed node_modules) resolves a dependency to a version listed as compromised. Installs from this lockfile pull the malicious code.' },
+    help: { text: 'Upgrade or downgrade to a known-good version, regenerate the lockfile, and treat machines and CI runners that installed it as compromised (rotate credentials).' },
+    defaultConfiguration: { level: 'error' },
+    properties: { severity: 'critical', 'security-severity': '9.8', tags: ['security', 'supply-chain'] },
+  },
+  {
+    id: 'compromised-semver-range',
+    name: 'CompromisedSemverRange',
+    shortDescription: { text: 'Dependency range allows a compromised version' },
+    fullDescription: { text: 'A package.json dependency range is satisfied by a compromised version, so a fresh install or lockfile update could resolve to it.' },
+    help: { text: 'Pin the dependency to a known-good version or tighten the range to exclude the compromised versions.' },
+    defaultConfiguration: { level: 'warning' },
+    properties: { severity: 'danger', 'security-severity': '7.5', tags: ['security', 'supply-chain'] },
+  },
+  {
+    id: 'compromised-package-name',
+    name: 'CompromisedPackageName',
+    shortDescription: { text: 'Dependency on a package with compromised versions' },
+    fullDescription: { text: 'A package.json depends on a package that has compromised versions, but the declared range excludes them.' },
+    help: { text: 'No action needed now; watch for new compromised versions of this package before widening the range.' },
+    defaultConfiguration: { level: 'note' },
+    properties: { severity: 'caution', 'security-severity': '2.0', tags: ['security', 'supply-chain'] },
+  },
+];
+
+const ruleIndex = (id) => SARIF_RULES.findIndex((r) => r.id === id);
+
+const sarifResult = (ruleId, message, file, line, fingerprint) => ({
+  ruleId,
+  ruleIndex: ruleIndex(ruleId),
+  level: SARIF_RULES[ruleIndex(ruleId)].defaultConfiguration.level,
+  message: { text: message },
+  locations: [{
+    physicalLocation: {
+      artifactLocation: { uri: file },
+      ...(line && { region: { startLine: line } }),
+    },
+  }],
+  partialFingerprints: { 'jfrogScanFinding/v1': fingerprint },
+});
+
+// " Pulled in via a > b > c (dev-only)." for lockfile findings with a dependency path
+const describeDependency = (m) => {
+  const kinds = dependencyKinds(m);
+  if (!m.dependencyPath) return kinds.length > 0 ? ` It is a ${kinds.join(', ')} dependency.` : '';
+  return ` Pulled in via ${m.dependencyPath.join(' > ')}${kinds.length > 0 ? ` (${kinds.join(', ')})` : ''}.`;
+};
+
+// 'bar range "^1.0.0" (as alias foo) in overrides.foo' for package.json findings,
+// 'bar range "latest" in `npx bar`' for workflows and Dockerfiles
+const declaration = (m) => `${m.name} range "${m.range}"${m.alias ? ` (as alias ${m.alias})` : ''}${
+  m.declaredIn ? ` in ${m.declaredIn}` : m.command ? ` in \`${m.command}\`` : ''}`;
+
+// Fingerprints of dependency-field findings predate overrides and resolutions; keep them
+// stable and tell the other declarations apart. Commands in workflows and Dockerfiles
+// are told apart by line too, since the same command can run more than once.
+const declarationKey = (m) => {
+  if (m.command) return `:${m.line}:${m.command}`;
+  return !m.declaredIn || DEPENDENCY_FIELD_RE.test(m.declaredIn) ? '' : `:${m.declaredIn}`;
+};
+const DEPENDENCY_FIELD_RE = /^(dependencies|devDependencies|optionalDependencies|peerDependencies)\./;
+
+// Convert GitHub/local manifest scan results into a SARIF 2.1.0 log. Results are
+// grouped into one run per repository and branch, since file paths are repo-relative.
+export function toSarif(results) {
+  const runs = new Map();
+
+  for (const result of results) {
+    const platform = result.platform && result.platform !== 'github' ? `${result.platform}:` : '';
+    const repoName = result.owner ? `${platform}${result.owner}/${result.repo}` : result.repo;
+    const runKey = `${repoName}@${result.branch ?? ''}`;
+    if (!runs.has(runKey)) {
+      runs.set(runKey, {
+        tool: {
+          driver: {
+            name: 'jfrog-scan',
+            version: TOOL_VERSION,
+            rules: SARIF_RULES,
+          },
+        },
+        automationDetails: { id: `jfrog-scan/${repoName}/${result.branch ? `${result.branch}/` : ''}` },
+        properties: { repository: repoName, branch: result.branch, ...(result.strategy && { strategy: result.strategy }) },
+        results: [],
+        fingerprints: new Set(),
+      });
+    }
+    const run = runs.get(runKey);
+    // A workspace root lockfile finding is reported for every workspace depending on it; emit it once
+    const add = (sarif) => {
+      const fingerprint = sarif.partialFingerprints['jfrogScanFinding/v1'];
+      if (run.fingerprints.has(fingerprint)) return;
+      run.fingerprints.add(fingerprint);
+      run.results.push(sarif);
+    };
+
+    for (const m of result.critical) {
+      const file = m.lockfile ?? (m.location ? `${m.location}/package.json` : result.path);
+      add(sarifResult(
+        'compromised-lockfile-pin',
+        `${m.name}@${m.version} is compromised${m.compromisedRange ? ` (${m.compromisedRange})` : ''} and is ${m.lockfile ? `locked in ${m.lockfile}` : m.command ? `run by \`${m.command}\`` : 'installed'}.${describeDependency(m)}`,
+        file,
+        m.line,
+        `${file}:${m.name}@${m.version}${m.command ? declarationKey(m) : ''}`,
+      ));
+    }
+    for (const m of result.danger) {
+      add(sarifResult(
+        'compromised-semver-range',
+        `${declaration(m)} allows compromised version ${m.matchedVersion}.`,
+        result.path,
+        m.line,
+        `${result.path}:${m.name}:danger${declarationKey(m)}`,
+      ));
+    }
+    for (const m of result.caution) {
+      add(sarifResult(
+        'compromised-package-name',
+        `${declaration(m)} excludes its compromised versions (${m.compromisedVersions}).`,
+        result.path,
+        m.line,
+        `${result.path}:${m.name}:caution${declarationKey(m)}`,
+      ));
+    }
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: Array.from(runs.values(), ({ fingerprints, ...run }) => run),
+  };
+}
@@ -0,0 +1,25 @@
+import { parse as parseYaml } from 'yaml';
+import { compilePattern } from './patterns.js';
+
+// Workspace package globs declared at a monorepo root: package.json "workspaces" (npm and
+// yarn; an array, or { packages: [...] } for yarn classic) and pnpm-workspace.yaml "packages"
+export function workspacePatterns(packageJson, pnpmWorkspaceYaml) {
+  const patterns = [];
+  const workspaces = packageJson?.workspaces;
+  if (Array.isArray(workspaces)) patterns.push(...workspaces);
+  else if (Array.isArray(workspaces?.packages)) patterns.push(...workspaces.packages);
+  if (pnpmWorkspaceYaml) {
+    const doc = parseYaml(pnpmWorkspaceYaml) || {};
+    if (Array.isArray(doc.packages)) patterns.push(...doc.packages);
+  }
+  return patterns.filter((pattern) => typeof pattern === 'string');
+}
+
+// Predicate for package directories (relative to the workspace root) that workspace globs
+// select; "!" patterns exclude directories
+export const createWorkspaceMatcher = (patterns) => {
+  const normalize = (pattern) => pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+  const include = patterns.filter((p) => !p.startsWith('!')).map((p) => compilePattern(normalize(p)));
+  const exclude = patterns.filter((p) => p.startsWith('!')).map((p) => compilePattern(normalize(p.slice(1))));
+  return (dir) => include.some((re) => re.test(dir)) && !exclude.some((re) => re.test(dir));
+};
@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { after, before, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { ArtifactoryClient } from '../src/artifactoryClient.js';
+import { startMockArtifactory } from './helpers/mockArtifactory.js';
+
+let mock;
+
+before(async () => {
+  mock = await startMockArtifactory({ failAql: ['broken'] });
+});
+
+after(() => mock.close());
+
+test('a failed AQL batch fails only its own package names', async () => {
+  const client = new ArtifactoryClient({ baseUrl: mock.baseUrl, repository: 'npm-remote', maxRetries: 0 });
+  const found = await client.findCachedVersions(['typo', 'broken', 'lib'], { batchSize: 1 });
+
+  assert.deepEqual(found.get('typo').versions.map((v) => [v.version, v.additional.downloadCount]), [['1.0.0', 9], ['2.0.0', 1]]);
+  assert.deepEqual(found.get('lib').versions.map((v) => v.version), ['1.0.0']);
+  assert.match(found.get('broken').error, /^AQL query failed: 500/);
+});
+
+test('--aql reports a failed batch as errors for its specs and keeps the other results', async () => {
+  const child = spawn(process.execPath, [
+    fileURLToPath(new URL('../src/cli.js', import.meta.url)),
+    '--base-url', mock.baseUrl, '-r', 'npm-remote', '--aql', '--aql-batch-size', '1', '--format', 'json', '--max-retries', '0',
+  ], { env: { PATH: process.env.PATH } });
+  let stdout = '';
+  child.stdout.on('data', (chunk) => { stdout += chunk; });
+  child.stdin.end('typo@1.0.0\nbroken@1.0.0\n');
+  const code = await new Promise((resolve) => child.on('close', resolve));
+
+  assert.equal(code, 2);
+  assert.deepEqual(JSON.parse(stdout).map((r) => [`${r.package}@${r.version}`, r.existsInCache, Boolean(r.error)]), [
+    ['typo@1.0.0', true, false],
+    ['broken@1.0.0', false, true],
+  ]);
+});
@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, beforeEach, test } from 'node:test';
+import { BitbucketScanner } from '../src/bitbucketScanner.js';
+
+// Mock Bitbucket Server REST API 1.0: project ACME holds web and an empty repo, listed a
+// page at a time (start / nextPageStart / isLastPage)
+const REPOS = [{ slug: 'web', public: false }, { slug: 'empty', public: true, archived: true }];
+const API = '/rest/api/1.0/projects/ACME/repos';
+
+let server;
+let baseUrl;
+let requests;
+
+// A page of values starting at the request's start parameter
+const paged = (url, values, pageSize = 1) => {
+  const start = Number(url.searchParams.get('start') ?? 0);
+  const isLastPage = start + pageSize >= values.length;
+  return { values: values.slice(start, start + pageSize), isLastPage, ...(!isLastPage && { nextPageStart: start + pageSize }) };
+};
+
+const routes = (url) => ({
+  [API]: () => paged(url, REPOS),
+  [`${API}/web/branches`]: () => paged(url, [
+    { displayId: 'main', latestCommit: 'c2', isDefault: true },
+    { displayId: 'release/1.x', latestCommit: 'c1', isDefault: false },
+  ]),
+  [`${API}/web/branches/default`]: () => ({ displayId: 'main', latestCommit: 'c2' }),
+  [`${API}/empty/branches/default`]: () => '',
+  [`${API}/web/files`]: () => paged(url, ['package.json', 'packages/a/package.json', 'node_modules/x/package.json'], 2),
+  [`${API}/web/raw/packages/a/package.json`]: () => (url.searchParams.get('at') === 'c2' ? '{"name":"a"}' : undefined),
+});
+
+before(async () => {
+  server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+    const body = routes(url)[url.pathname]?.();
+    if (body === undefined) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end('{"errors":[]}');
+    }
+    if (body === '') {
+      res.writeHead(204);
+      return res.end();
+    }
+    const text = typeof body === 'string';
+    res.writeHead(200, { 'content-type': text ? 'text/plain' : 'application/json' });
+    res.end(text ? body : JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  requests = [];
+});
+
+const scanner = () => new BitbucketScanner({ baseUrl, project: 'ACME', token: 't', maxRetries: 0 });
+
+test('lists the project\'s repositories across pages', async () => {
+  const repos = await scanner().listRepos();
+  assert.deepEqual(repos.map((r) => [r.name, r.full_name, r.visibility, r.archived]), [
+    ['web', 'ACME/web', 'private', false],
+    ['empty', 'ACME/empty', 'public', true],
+  ]);
+  assert.deepEqual(requests.map((url) => url.searchParams.get('start')), ['0', '1']);
+});
+
+test('lists branches and the default branch', async () => {
+  const bitbucket = scanner();
+  assert.deepEqual(await bitbucket.listBranches({ name: 'web' }), [
+    { name: 'main', sha: 'c2', isDefault: true },
+    { name: 'release/1.x', sha: 'c1', isDefault: false },
+  ]);
+  assert.deepEqual(await bitbucket.getDefaultBranch({ name: 'web' }), { name: 'main', sha: 'c2' });
+  assert.equal(await bitbucket.getDefaultBranch({ name: 'empty' }), null);
+});
+
+test('lists files across pages and fetches raw files', async () => {
+  const bitbucket = scanner();
+  assert.deepEqual(await bitbucket.listTreeFiles('web', 'c2'), ['package.json', 'packages/a/package.json']);
+  assert.equal(await bitbucket.getFileContent('web', 'c2', 'packages/a/package.json'), '{"name":"a"}');
+  assert.equal(await bitbucket.getFileContent('web', 'c1', 'packages/a/package.json'), null);
+  assert.equal(requests[0].searchParams.get('at'), 'c2');
+});
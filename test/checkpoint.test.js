@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { ScanCheckpoint } from '../src/checkpoint.js';
+import { HostScanner } from '../src/hostScanner.js';
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'checkpoint-test-'));
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+const readRecords = async (path) => (await readFile(path, 'utf8')).split('\n').filter(Boolean).map((line) => JSON.parse(line));
+
+// Host with repos "ok" and "broken"; listing broken's default branch fails
+class MockHost extends HostScanner {
+  constructor(options) {
+    super({ ...options, platform: 'mock', owner: 'acme', branchMode: 'default' });
+  }
+
+  async listRepos() {
+    return [{ name: 'broken' }, { name: 'ok' }];
+  }
+
+  async getDefaultBranch(repo) {
+    if (repo.name === 'broken') throw new Error('HTTP 500');
+    return { name: 'main', sha: 'c1' };
+  }
+
+  async listTreeFiles() {
+    return ['package.json'];
+  }
+
+  async getFileContent() {
+    return JSON.stringify({ dependencies: { evil: '^1.0.0' } });
+  }
+}
+
+test('a failed repository is reported and checkpointed, and the others still scanned', async () => {
+  const path = join(dir, 'scan.jsonl');
+  const checkpoint = await new ScanCheckpoint({ path }).start(['evil@1.0.1']);
+  const results = await new MockHost({ checkpoint }).scanOrg(['evil@1.0.1']);
+
+  assert.deepEqual(results.map((r) => [r.repo, r.errors]), [['broken', ['Scan failed: HTTP 500']], ['ok', []]]);
+  assert.equal(results[1].danger[0].name, 'evil');
+
+  const records = (await readRecords(path)).filter((r) => r.type === 'repo');
+  assert.deepEqual(records.map((r) => [r.repo, r.failed ?? false]).sort(), [['mock:acme/broken', true], ['mock:acme/ok', false]]);
+
+  // Resuming scans the failed repository again and reuses the other
+  const resumed = await new ScanCheckpoint({ path }).resume(['evil@1.0.1']);
+  assert.equal(resumed.lookup('mock:acme/broken', []), null);
+  assert.ok(resumed.lookup('mock:acme/ok', [{ branch: 'main', sha: 'c1' }]));
+});
+
+test('a failed checkpoint write does not stop later records', async () => {
+  const subdir = join(dir, 'later');
+  const checkpoint = new ScanCheckpoint({ path: join(subdir, 'scan.jsonl') });
+
+  await assert.rejects(checkpoint.record('mock:acme/a', [], []), { code: 'ENOENT' });
+  await mkdir(subdir);
+  await checkpoint.record('mock:acme/b', [], []);
+  assert.deepEqual((await readRecords(checkpoint.path)).map((r) => r.repo), ['mock:acme/b']);
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { ArtifactoryClient } from '../src/artifactoryClient.js';
+import { buildExposureReport, checkFindingsInCache, findingSpecs } from '../src/exposureReport.js';
+import { startMockArtifactory } from './helpers/mockArtifactory.js';
+
+let mock;
+let client;
+
+before(async () => {
+  mock = await startMockArtifactory();
+  client = new ArtifactoryClient({ baseUrl: mock.baseUrl, repository: 'npm-remote', maxRetries: 0 });
+});
+
+after(() => mock.close());
+
+const result = (findings) => ({
+  platform: 'github',
+  owner: 'acme',
+  repo: 'web',
+  branch: 'main',
+  path: 'package.json',
+  critical: [],
+  danger: [],
+  caution: [],
+  errors: [],
+  ...findings,
+});
+
+test('a range finding reports the cached versions in its range', async () => {
+  const results = [result({
+    danger: [
+      { name: 'typo', range: '^1.0.0', matchedVersion: '*', declaredIn: 'dependencies.typo' },
+      { name: 'lib', range: '^1.0.0', matchedVersion: '>=1.0.0 <1.0.1', declaredIn: 'dependencies.lib' },
+    ],
+  })];
+
+  const specs = findingSpecs(results);
+  const report = buildExposureReport(results, await checkFindingsInCache(client, ['npm-remote'], specs));
+
+  const typo = report.find((entry) => entry.name === 'typo');
+  assert.equal(typo.risk, 'medium');
+  // typo 2.0.0 is cached too, but "^1.0.0" cannot resolve to it
+  assert.deepEqual(typo.cached.map(({ version, downloadCount, lastDownloadedBy }) => ({ version, downloadCount, lastDownloadedBy })), [
+    { version: '1.0.0', downloadCount: 9, lastDownloadedBy: 'ci' },
+  ]);
+
+  const lib = report.find((entry) => entry.name === 'lib');
+  assert.equal(lib.risk, 'medium');
+  assert.deepEqual(lib.cached.map((c) => [c.version, c.downloadCount]), [['1.0.0', 4]]);
+});
+
+test('a range with no cached version ranks low, a pinned cached version critical', async () => {
+  const results = [result({
+    critical: [{ name: 'lib', version: '1.0.0' }],
+    danger: [{ name: 'other', range: '*', matchedVersion: '>=3.0.0', declaredIn: 'dependencies.other' }],
+  })];
+
+  const report = buildExposureReport(results, await checkFindingsInCache(client, ['npm-remote'], findingSpecs(results)));
+
+  assert.deepEqual(report.map((entry) => [entry.name, entry.risk]), [['lib', 'critical'], ['other', 'low']]);
+  assert.equal(report[0].cached[0].downloadCount, 4);
+});
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { generateKeyPairSync } from 'node:crypto';
+import { createServer } from 'node:http';
+import { after, before, beforeEach, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { GitHubScanner } from '../src/githubScanner.js';
+
+// Mock GitHub API, also served under /api/v3 as on GitHub Enterprise Server: org acme has
+// one repo, web, with main (default) and dev branches, and installation 42 of a GitHub App.
+// Code search finds nothing.
+const PACKAGE_JSON = JSON.stringify({ dependencies: { evil: '1.0.1' } });
+const ROUTES = {
+  '/orgs/acme/repos': () => [{ name: 'web', full_name: 'acme/web', default_branch: 'main', topics: [] }],
+  '/repos/acme/web/branches': () => [{ name: 'main', commit: { sha: 'm1' } }, { name: 'dev', commit: { sha: 'd1' } }],
+  '/repos/acme/web/git/trees/m1': () => ({ tree: [{ type: 'blob', path: 'package.json', sha: 'b1' }] }),
+  '/repos/acme/web/git/trees/d1': () => ({ tree: [{ type: 'blob', path: 'package.json', sha: 'b1' }] }),
+  '/repos/acme/web/contents/package.json': () => ({ type: 'file', content: Buffer.from(PACKAGE_JSON).toString('base64') }),
+  '/search/code': () => ({ total_count: 0, incomplete_results: false, items: [] }),
+  '/orgs/acme/installation': () => ({ id: 42 }),
+  '/app/installations/42/access_tokens': () => ({ token: 'ghs_installation', expires_at: new Date(Date.now() + 3600000).toISOString() }),
+};
+
+let server;
+let baseUrl;
+let requests;
+let calls;
+
+before(async () => {
+  server = createServer((req, res) => {
+    const url = new URL(req.url.replace(/^\/api\/v3\//, '/'), 'http://localhost');
+    requests.push(url);
+    // Method, path, Authorization header and whether the GHES prefix was used
+    calls.push([req.method, url.pathname, req.headers.authorization, req.url.startsWith('/api/v3/')]);
+    const route = ROUTES[url.pathname];
+    res.writeHead(route ? (req.method === 'POST' ? 201 : 200) : 404, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(route ? route(url) : { message: 'Not Found' }));
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  requests = [];
+  calls = [];
+});
+
+const searches = () => requests.filter((url) => url.pathname === '/search/code').map((url) => url.searchParams.get('q'));
+
+test('code search sends one query per batch of names, in any file', async () => {
+  const scanner = new GitHubScanner({ baseUrl, org: 'acme', strategy: 'code-search' });
+  const names = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+  assert.deepEqual(await scanner.searchReposMentioning(names), new Set());
+  assert.deepEqual(searches(), ['"a" OR "b" OR "c" OR "d" OR "e" OR "f" org:acme', '"g" org:acme']);
+});
+
+test('code search falls back to a full scan when the names need too many queries', async () => {
+  const scanner = new GitHubScanner({ baseUrl, org: 'acme', strategy: 'code-search' });
+  const names = Array.from({ length: 200 }, (_, i) => `pkg-${i}`);
+  assert.equal(await scanner.searchReposMentioning(names), null);
+  assert.deepEqual(searches(), []);
+});
+
+test('a repo the prefilter skips still has its other branches scanned', async () => {
+  const scanner = new GitHubScanner({ baseUrl, org: 'acme', strategy: 'code-search' });
+  const results = await scanner.scanOrg(['evil@1.0.1']);
+
+  assert.deepEqual(results.map((r) => [r.branch, r.strategy, [...r.critical, ...r.danger].map((m) => m.name)]), [['dev', 'manifest', ['evil']]]);
+  assert.ok(!requests.some((url) => url.pathname.endsWith('/trees/m1')));
+});
+
+test('with --default-branch-only, a skipped repo costs no further requests', async () => {
+  const scanner = new GitHubScanner({ baseUrl, org: 'acme', strategy: 'code-search', branchMode: 'default' });
+  assert.deepEqual(await scanner.scanOrg(['evil@1.0.1']), []);
+  assert.deepEqual(requests.map((url) => url.pathname), ['/orgs/acme/repos', '/search/code']);
+});
+
+test('a GitHub App looks up its installation on the owner and scans with its token', async () => {
+  const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048, privateKeyEncoding: { type: 'pkcs1', format: 'pem' }, publicKeyEncoding: { type: 'spki', format: 'pem' } });
+  const scanner = new GitHubScanner({ baseUrl: `${baseUrl}/api/v3/`, org: 'acme', app: { appId: 1, privateKey } });
+
+  assert.deepEqual((await scanner.listRepos()).map((r) => r.name), ['web']);
+  assert.deepEqual(calls.map(([method, path, auth, ghes]) => [method, path, auth.split(' ')[0], ghes]), [
+    ['GET', '/orgs/acme/installation', 'bearer', true],
+    ['POST', '/app/installations/42/access_tokens', 'bearer', true],
+    ['GET', '/orgs/acme/repos', 'token', true],
+  ]);
+  assert.equal(calls[2][2], 'token ghs_installation');
+});
+
+test('an installation id with more than one owner is rejected', async () => {
+  const child = spawn(process.execPath, [
+    fileURLToPath(new URL('../src/cli.js', import.meta.url)),
+    '--github-org', 'acme', '--github-org', 'other', '--github-app-id', '1', '--github-app-private-key', 'key.pem', '--github-app-installation-id', '42',
+  ], { env: { PATH: process.env.PATH } });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+  child.stdin.end('evil@1.0.1\n');
+  const code = await new Promise((resolve) => child.on('close', resolve));
+
+  assert.equal(code, 2);
+  assert.match(stderr, /--github-app-installation-id applies to a single --github-org or --github-user/);
+  assert.deepEqual(requests, []);
+});
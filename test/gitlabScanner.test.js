@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, beforeEach, test } from 'node:test';
+import { GitLabScanner } from '../src/gitlabScanner.js';
+
+// Mock GitLab API v4: group acme holds web and sub/lib. Projects page by offset
+// (X-Next-Page), web's tree by keyset (Link rel="next").
+const PROJECTS = [
+  [{ path: 'web', path_with_namespace: 'acme/web', default_branch: 'main', archived: false, visibility: 'private' }],
+  [{ path: 'lib', path_with_namespace: 'acme/sub/lib', default_branch: 'main', archived: false, visibility: 'internal' }],
+];
+const WEB = '/api/v4/projects/acme%2Fweb';
+
+let server;
+let baseUrl;
+let requests;
+
+const routes = (url) => ({
+  '/api/v4/groups/acme/projects': () => {
+    const page = Number(url.searchParams.get('page') ?? 1);
+    return [PROJECTS[page - 1], page < PROJECTS.length ? { 'x-next-page': String(page + 1) } : {}];
+  },
+  [`${WEB}/repository/branches`]: () => [[
+    { name: 'main', default: true, commit: { id: 'c2' } },
+    { name: 'feature', default: false, commit: { id: 'c3' } },
+  ]],
+  [`${WEB}/repository/tree`]: () => (url.searchParams.get('id_after')
+    ? [[{ type: 'blob', path: 'packages/a/package.json', id: 'b2' }]]
+    : [
+      [{ type: 'blob', path: 'package.json', id: 'b1' }, { type: 'tree', path: 'packages', id: 't1' }],
+      { link: `<${baseUrl}${WEB}/repository/tree?id_after=b1&ref=main&recursive=true&pagination=keyset&per_page=100>; rel="next"` },
+    ]),
+  [`${WEB}/repository/files/package.json/raw`]: () => (url.searchParams.get('ref') === 'main' ? ['{"name":"web"}'] : null),
+});
+
+before(async () => {
+  server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+    const [body, headers = {}] = routes(url)[url.pathname]?.() ?? [];
+    if (body === undefined) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end('{"message":"404 Not Found"}');
+    }
+    const text = typeof body === 'string';
+    res.writeHead(200, { 'content-type': text ? 'text/plain' : 'application/json', ...headers });
+    res.end(text ? body : JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  requests = [];
+});
+
+const scanner = () => new GitLabScanner({ baseUrl, group: 'acme', maxRetries: 0 });
+
+test('lists the group\'s own projects across pages', async () => {
+  const repos = await scanner().listRepos();
+  assert.deepEqual(repos.map((r) => [r.name, r.full_name, r.default_branch]), [['web', 'acme/web', 'main'], ['sub/lib', 'acme/sub/lib', 'main']]);
+  assert.deepEqual(requests.map((url) => url.searchParams.get('with_shared')), ['false', 'false']);
+});
+
+test('lists branches with the default flagged', async () => {
+  assert.deepEqual(await scanner().listBranches({ name: 'web' }), [
+    { name: 'main', sha: 'c2', isDefault: true },
+    { name: 'feature', sha: 'c3', isDefault: false },
+  ]);
+});
+
+test('follows keyset pagination of the tree and fetches raw files', async () => {
+  const gitlab = scanner();
+  assert.deepEqual(await gitlab.listTree('web', 'main'), [{ path: 'package.json', sha: 'b1' }, { path: 'packages/a/package.json', sha: 'b2' }]);
+  assert.equal(await gitlab.getFileContent('web', 'main', 'package.json'), '{"name":"web"}');
+  assert.equal(await gitlab.getFileContent('web', 'main', 'missing.json'), null);
+});
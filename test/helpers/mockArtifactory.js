@@ -0,0 +1,89 @@
+import { createServer } from 'node:http';
+
+// Tarballs in npm-remote-cache: typo 1.0.0 and 2.0.0 and lib 1.0.0
+export const CACHED = {
+  'typo/-/typo-1.0.0.tgz': { downloadCount: 9, lastDownloaded: Date.parse('2025-09-09T10:00:00Z') },
+  'typo/-/typo-2.0.0.tgz': { downloadCount: 1, lastDownloaded: Date.parse('2025-09-10T10:00:00Z') },
+  'lib/-/lib-1.0.0.tgz': { downloadCount: 4, lastDownloaded: Date.parse('2025-09-08T10:00:00Z') },
+};
+
+// Mock Artifactory for tests: remote repository npm-remote serves the tarballs in `cached`
+// ({ path: { downloadCount, lastDownloaded } }) from npm-remote-cache. It answers storage
+// and stats lookups and folder listings, and takes property updates, moves and deletes.
+// Moves of the paths in failMoves report an ERROR message, as Artifactory does for a move
+// it could not complete. AQL queries find cached tarballs by package folder, and fail with
+// a 500 when they ask for a package in failAql. Every request is recorded as "METHOD /path".
+export async function startMockArtifactory({ cached = CACHED, failMoves = [], failAql = [] } = {}) {
+  const requests = [];
+
+  // items.find() with the criteria findCachedVersions() builds: the package folders in the
+  // query's second $or
+  const aql = async (req, reply) => {
+    let query = '';
+    for await (const chunk of req) query += chunk;
+    const criteria = JSON.parse(query.slice('items.find('.length, query.indexOf(').include(')));
+    const folders = criteria.$and[1].$or.map((pkg) => pkg.$and[0].path);
+    if (folders.some((folder) => failAql.includes(folder.slice(0, -'/-'.length)))) return reply(500, { errors: [{ status: 500, message: 'AQL failed' }] });
+    const results = Object.entries(cached)
+      .filter(([path]) => folders.includes(path.slice(0, path.lastIndexOf('/'))))
+      .map(([path, stats]) => ({
+        repo: 'npm-remote-cache',
+        path: path.slice(0, path.lastIndexOf('/')),
+        name: path.split('/').pop(),
+        size: 1,
+        stats: [{ downloads: stats.downloadCount, downloaded: new Date(stats.lastDownloaded).toISOString(), downloaded_by: 'ci' }],
+      }));
+    return reply(200, { results });
+  };
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = decodeURIComponent(url.pathname);
+    requests.push(`${req.method} ${pathname}`);
+    const json = (body, status = 200) => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    const storage = pathname.match(/^\/api\/storage\/npm-remote(?:-cache)?\/(.+)$/);
+    const move = pathname.match(/^\/api\/move\/npm-remote-cache\/(.+)$/);
+    const item = pathname.match(/^\/npm-remote-cache\/(.+)$/);
+    if (req.method === 'GET' && storage) {
+      const path = storage[1];
+      if (path.endsWith('/-')) {
+        const folder = path.slice(0, -'/-'.length);
+        const children = Object.keys(cached)
+          .filter((p) => p.startsWith(`${folder}/-/`))
+          .map((p) => ({ uri: `/${p.split('/').pop()}`, folder: false }));
+        return json({ repo: 'npm-remote-cache', children });
+      }
+      if (!cached[path]) return json({ errors: [] }, 404);
+      return json(url.search === '?stats' ? { ...cached[path], lastDownloadedBy: 'ci' } : { repo: 'npm-remote-cache', size: 1 });
+    }
+    if (req.method === 'PUT' && storage && url.searchParams.has('properties')) {
+      if (!cached[storage[1]]) return json({ errors: [] }, 404);
+      res.writeHead(204);
+      return res.end();
+    }
+    if (req.method === 'POST' && move) {
+      if (failMoves.includes(move[1])) {
+        return json({ messages: [{ level: 'ERROR', message: `Failed to move ${move[1]}: target repository rejects npm packages` }] });
+      }
+      return json({ messages: [{ level: 'INFO', message: 'moving successfully completed' }] });
+    }
+    if (req.method === 'POST' && pathname === '/api/search/aql') {
+      return aql(req, (status, body) => json(body, status));
+    }
+    if (req.method === 'DELETE' && item) {
+      res.writeHead(cached[item[1]] ? 204 : 404);
+      return res.end();
+    }
+    return json({ errors: [{ status: 404, message: 'Not Found' }] }, 404);
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  return {
+    baseUrl: `http://localhost:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
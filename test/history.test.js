@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ManifestScanner, buildCompromisedMap } from '../src/manifestScanner.js';
+
+const NPM_LOCK = JSON.stringify({ lockfileVersion: 3, packages: { '': {}, 'node_modules/evil': { version: '1.0.1' } } });
+const PNPM_LOCK = "lockfileVersion: '9.0'\npackages:\n  left-pad@1.3.0:\n    resolution: {integrity: sha512-x}\n";
+
+// c0 (before the window) locks evil@1.0.1 in package-lock.json; c1 adds pnpm-lock.yaml and
+// c2 deletes package-lock.json, so only pnpm-lock.yaml is left at the tip
+const CONTENT = {
+  c0: { 'package-lock.json': NPM_LOCK },
+  c1: { 'package-lock.json': NPM_LOCK, 'pnpm-lock.yaml': PNPM_LOCK },
+  c2: { 'pnpm-lock.yaml': PNPM_LOCK },
+};
+const commit = (sha, parent) => ({ sha, parent, date: `2025-09-0${sha[1]}T00:00:00Z`, author: { name: 'dev' }, message: sha });
+const COMMITS = { 'package-lock.json': [commit('c2', 'c1')], 'pnpm-lock.yaml': [commit('c1', 'c0')] };
+
+test('--since walks lockfiles deleted before the branch tip', async () => {
+  const scanner = new ManifestScanner();
+  scanner.listTreeFiles = async () => ['pnpm-lock.yaml'];
+  scanner.getFileContent = async (repo, ref, path) => CONTENT[ref === 'main' ? 'c2' : ref][path] ?? null;
+  scanner.listFileCommits = async (repo, ref, path) => COMMITS[path] ?? [];
+  scanner.listChangedPaths = async () => ['README.md', 'pnpm-lock.yaml', 'package-lock.json'];
+
+  const results = await scanner.scanBranch('web', 'main', buildCompromisedMap(['evil@1.0.1']), { since: new Date('2025-09-01') });
+  const history = results.filter((r) => r.since);
+
+  assert.deepEqual(history.map((r) => r.path), ['pnpm-lock.yaml', 'package-lock.json']);
+  const [exposure] = history[1].exposures;
+  assert.equal(history[1].exposures.length, 1);
+  assert.equal(`${exposure.name}@${exposure.version}`, 'evil@1.0.1');
+  assert.equal(exposure.introduced, null);
+  assert.equal(exposure.removed.sha, 'c2');
+});
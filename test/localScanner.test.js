@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { LocalScanner } from '../src/localScanner.js';
+
+let dir;
+
+// Files relative to dir, given as { path: JSON content }
+const writeTree = async (files) => {
+  for (const [path, content] of Object.entries(files)) {
+    await mkdir(dirname(join(dir, path)), { recursive: true });
+    await writeFile(join(dir, path), JSON.stringify(content));
+  }
+};
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'jfrog-scan-'));
+  await writeTree({
+    // npm global prefix: no package.json at the root
+    'prefix/lib/node_modules/evil/package.json': { name: 'evil', version: '1.0.1' },
+    'prefix/lib/node_modules/@s/ok/package.json': { name: '@s/ok', version: '1.0.0' },
+    // A project with its install
+    'app/package.json': { dependencies: { evil: '1.0.1' } },
+    'app/node_modules/evil/package.json': { name: 'evil', version: '1.0.1' },
+    'app/node_modules/evil/node_modules/dep/package.json': { name: 'dep', version: '2.0.0' },
+  });
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+const installed = (results) => results.filter((r) => r.installed)
+  .map((r) => [r.path, r.critical.map((m) => `${m.name}@${m.version}`)]);
+
+test('--scan-installed checks node_modules without a package.json next to it', async () => {
+  const results = await new LocalScanner({ root: join(dir, 'prefix') }).scanDirectory(['evil@1.0.1'], { installed: true });
+  assert.deepEqual(installed(results), [['lib/node_modules', ['evil@1.0.1']]]);
+});
+
+test('a node_modules root is checked as an install', async () => {
+  const results = await new LocalScanner({ root: join(dir, 'app/node_modules') }).scanDirectory(['evil@1.0.1', 'dep@2.0.0']);
+  assert.deepEqual(installed(results), [['.', ['evil@1.0.1', 'dep@2.0.0']]]);
+  assert.equal(results.length, 1);
+});
+
+test('project installs are still checked alongside the manifest', async () => {
+  const results = await new LocalScanner({ root: join(dir, 'app') }).scanDirectory(['evil@1.0.1'], { installed: true });
+  assert.deepEqual(installed(results), [['node_modules', ['evil@1.0.1']]]);
+  assert.ok(results.some((r) => !r.installed && r.path === 'package.json'));
+});
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { attributeYarnV1Workspaces, dependencyKinds, parseLockfile } from '../src/lockfiles.js';
+
+// Parse a fixture from test/fixtures/lockfiles as the named lockfile
+const parseFixture = (fixture, lockfileName) => parseLockfile(
+  lockfileName,
+  readFileSync(new URL(`fixtures/lockfiles/${fixture}`, import.meta.url), 'utf8'),
+);
+
+// name@version -> dependency path, joined for short assertions
+const paths = (entries) => Object.fromEntries(entries.map((e) => [`${e.name}@${e.version}`, e.dependencyPath?.join(' > ')]));
+
+test('npm v1: nested dependencies paths, aliases and dev/optional flags', () => {
+  const entries = parseFixture('npm-v1.json', 'package-lock.json');
+  assert.deepEqual(paths(entries), {
+    'express@4.18.2': 'app > express@4.18.2',
+    'debug@2.6.9': 'app > express@4.18.2 > debug@2.6.9',
+    'ms@2.0.0': 'app > express@4.18.2 > debug@2.6.9 > ms@2.0.0',
+    'ms@2.1.3': 'app > ms@2.1.3',
+    '@scope/real@1.2.3': 'app > @scope/real@1.2.3',
+    'fsevents@2.3.3': 'app > fsevents@2.3.3',
+  });
+  const kinds = Object.fromEntries(entries.map((e) => [`${e.name}@${e.version}`, dependencyKinds(e)]));
+  assert.deepEqual(kinds['ms@2.1.3'], ['dev-only']);
+  assert.deepEqual(kinds['fsevents@2.3.3'], ['optional']);
+  assert.deepEqual(kinds['ms@2.0.0'], []);
+});
+
+test('npm v3: scoped names, aliases, nested installs and dev/optional/peer flags', () => {
+  const entries = parseFixture('npm-v3.json', 'npm-shrinkwrap.json');
+  assert.deepEqual(paths(entries), {
+    '@scope/lib@1.0.0': 'app > @scope/lib@1.0.0',
+    'left-pad@1.3.0': 'app > @scope/lib@1.0.0 > left-pad@1.3.0',
+    'real@2.0.1': 'app > real@2.0.1',
+    'jest@29.0.0': 'app > jest@29.0.0',
+    'fsevents@2.3.3': 'app > jest@29.0.0 > fsevents@2.3.3',
+    'react@18.2.0': 'app > react@18.2.0',
+    'orphan@0.0.1': 'app > orphan@0.0.1',
+  });
+  const kinds = Object.fromEntries(entries.map((e) => [e.name, dependencyKinds(e)]));
+  assert.deepEqual(kinds, {
+    '@scope/lib': [],
+    'left-pad': [],
+    real: [],
+    jest: ['dev-only'],
+    fsevents: ['dev-only', 'optional'],
+    react: ['peer'],
+    orphan: ['dev/optional-only'],
+  });
+});
+
+test('yarn v1: aliases, scoped and multi-descriptor entries, attributed from package.json', () => {
+  const entries = parseFixture('yarn-v1.lock', 'yarn.lock');
+  assert.deepEqual(entries.map((e) => [e.name, e.version, e.descriptors]), [
+    ['@scope/lib', '1.0.0', ['@scope/lib@^1.0.0']],
+    ['real', '2.0.1', ['alias@npm:real@^2.0.0']],
+    ['left-pad', '1.3.0', ['left-pad@^1.1.0', 'left-pad@^1.3.0']],
+  ]);
+
+  const attributed = attributeYarnV1Workspaces(entries, new Map([
+    ['', { name: 'app', dependencies: { '@scope/lib': '^1.0.0' } }],
+    ['packages/tool', { name: 'tool', dependencies: { alias: 'npm:real@^2.0.0', 'left-pad': '^1.1.0' } }],
+  ]));
+  assert.deepEqual(attributed.map((e) => [e.name, e.workspaces]), [
+    ['@scope/lib', { '': ['app', '@scope/lib@1.0.0'] }],
+    ['real', { 'packages/tool': ['tool', 'real@2.0.1'] }],
+    ['left-pad', { '': ['app', '@scope/lib@1.0.0', 'left-pad@1.3.0'], 'packages/tool': ['tool', 'left-pad@1.3.0'] }],
+  ]);
+});
+
+test('yarn berry: resolution keys, aliases and workspaces; patches are skipped', () => {
+  const entries = parseFixture('yarn-berry.lock', 'yarn.lock');
+  assert.deepEqual(entries.map((e) => [`${e.name}@${e.version}`, e.workspaces]), [
+    ['@scope/lib@1.0.0', { '': ['app', '@scope/lib@1.0.0'] }],
+    ['real@2.0.1', { '': ['app', 'real@2.0.1'] }],
+    ['left-pad@1.3.0', { '': ['app', '@scope/lib@1.0.0', 'left-pad@1.3.0'], 'packages/tool': ['tool', 'left-pad@1.3.0'] }],
+  ]);
+});
+
+test('pnpm v5: peer-suffixed and scoped keys', () => {
+  assert.deepEqual(paths(parseFixture('pnpm-v5.yaml', 'pnpm-lock.yaml')), {
+    '@scope/lib@1.0.0': 'root > @scope/lib@1.0.0',
+    'loose-envify@1.4.0': 'root > react-dom@18.2.0 > loose-envify@1.4.0',
+    'react-dom@18.2.0': 'root > react-dom@18.2.0',
+  });
+});
+
+test('pnpm v6: peer-suffixed keys and importers', () => {
+  const entries = parseFixture('pnpm-v6.yaml', 'pnpm-lock.yaml');
+  assert.deepEqual(entries.map((e) => [`${e.name}@${e.version}`, e.workspaces]), [
+    ['@scope/lib@1.0.0', { 'packages/ui': ['packages/ui', '@scope/lib@1.0.0'] }],
+    ['loose-envify@1.4.0', { '': ['root', 'react-dom@18.2.0', 'loose-envify@1.4.0'] }],
+    ['react-dom@18.2.0', { '': ['root', 'react-dom@18.2.0'] }],
+  ]);
+});
+
+test('pnpm v9: snapshots with peer suffixes and aliases', () => {
+  assert.deepEqual(paths(parseFixture('pnpm-v9.yaml', 'pnpm-lock.yaml')), {
+    'loose-envify@1.4.0': 'root > react-dom@18.2.0 > loose-envify@1.4.0',
+    'react-dom@18.2.0': 'root > react-dom@18.2.0',
+    'react@18.2.0': 'root > react-dom@18.2.0 > react@18.2.0',
+    'real@2.0.1': 'root > real@2.0.1',
+  });
+});
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { extractImpactedFromAdvisory, loadAdvisorySource } from '../src/osv.js';
+
+const fixture = (name) => fileURLToPath(new URL(`fixtures/osv/${name}`, import.meta.url));
+
+// advisories.zip holds a directory entry, a README and five OSV records (the first stored,
+// the rest deflated): MAL-2025-1 lists versions, MAL-2025-2 is introduced: 0,
+// MAL-2025-3 is withdrawn, MAL-2025-4 is a PyPI package, and GHSA-aaaa-bbbb-cccc has
+// last_affected and fixed ranges
+test('an OSV zip maps versions, introduced: 0, last_affected and fixed to specs', async () => {
+  assert.deepEqual((await loadAdvisorySource(fixture('advisories.zip'))).sort(), [
+    '@typo/squat@*',
+    'evil@1.0.1',
+    'evil@1.0.2',
+    'lib@>=1.0.0 <=1.0.5 || >=2.0.0 <2.1.0',
+  ]);
+});
+
+test('maliciousOnly keeps MAL- records and drops ordinary advisories', async () => {
+  assert.deepEqual((await loadAdvisorySource(fixture('advisories.zip'), { maliciousOnly: true })).sort(), [
+    '@typo/squat@*',
+    'evil@1.0.1',
+    'evil@1.0.2',
+  ]);
+});
+
+test('zip entries written with data descriptors are read', async () => {
+  assert.deepEqual(await loadAdvisorySource(fixture('data-descriptor.zip')), ['streamed@0.0.1']);
+});
+
+test('unsupported zip compression fails the source instead of skipping records', async () => {
+  await assert.rejects(loadAdvisorySource(fixture('bzip2.zip')), /Unsupported zip entry osv\/malicious\/npm\/evil\/MAL-2025-1\.json \(compression method 12\)/);
+});
+
+test('a GHSA API malware advisory maps its vulnerable version range', () => {
+  const advisory = {
+    ghsa_id: 'GHSA-xxxx-yyyy-zzzz',
+    type: 'malware',
+    vulnerabilities: [
+      { package: { ecosystem: 'npm', name: 'evil' }, vulnerable_version_range: '>= 4.2.0, < 4.2.3' },
+      { package: { ecosystem: 'npm', name: 'pinned' }, vulnerable_version_range: '= 1.0.0' },
+      { package: { ecosystem: 'pip', name: 'evil' }, vulnerable_version_range: '= 1.0' },
+    ],
+  };
+  assert.deepEqual(extractImpactedFromAdvisory(advisory, { maliciousOnly: true }), ['evil@>=4.2.0 <4.2.3', 'pinned@1.0.0']);
+});
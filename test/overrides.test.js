@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { LocalScanner } from '../src/localScanner.js';
+
+// Scan a directory holding just this package.json (an object, or its text as is); returns
+// the DANGER findings
+const scanManifest = async (packageJson, specs) => {
+  const dir = await mkdtemp(join(tmpdir(), 'jfrog-scan-'));
+  try {
+    await writeFile(join(dir, 'package.json'), typeof packageJson === 'string' ? packageJson : JSON.stringify(packageJson, null, 2));
+    const results = await new LocalScanner({ root: dir }).scanDirectory(specs);
+    return results.flatMap((r) => r.danger);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+};
+
+test('override selectors with ">" in their range resolve to the package name', async () => {
+  const danger = await scanManifest({
+    overrides: { 'foo@>=1.0.0': '^1.0.0' },
+    resolutions: { '@s/bar@>1': '^2.0.0' },
+    pnpm: {
+      overrides: {
+        'app@1>baz@>=1 <2': '^1.0.0',
+        '@s/app>@s/qux@>1 || >=3': '^3.0.0',
+      },
+    },
+  }, ['foo@1.0.1', '@s/bar@2.0.1', 'baz@1.2.0', '@s/qux@3.0.1']);
+
+  assert.deepEqual(danger.map((m) => [m.name, m.declaredIn]).sort(), [
+    ['@s/bar', 'resolutions.@s/bar@>1'],
+    ['@s/qux', 'pnpm.overrides.@s/app>@s/qux@>1 || >=3'],
+    ['baz', 'pnpm.overrides.app@1>baz@>=1 <2'],
+    ['foo', 'overrides.foo@>=1.0.0'],
+  ]);
+});
+
+test('pnpm parent chains and yarn paths still resolve to the last package', async () => {
+  const danger = await scanManifest({
+    resolutions: { '**/foo': '^1.0.0', 'a/@s/bar': '^2.0.0' },
+    pnpm: { overrides: { 'parent@2>baz': '^1.0.0', '@s/p>@s/qux@<4': '^3.0.0' } },
+  }, ['foo@1.0.1', '@s/bar@2.0.1', 'baz@1.2.0', '@s/qux@3.0.1']);
+
+  assert.deepEqual(danger.map((m) => m.name).sort(), ['@s/bar', '@s/qux', 'baz', 'foo']);
+});
+
+test('findings point at the line of the declaration itself', async () => {
+  const danger = await scanManifest([
+    '{',
+    '  "dependencies": { "foo": "^1.0.0" },',
+    '  "overrides": {',
+    '    "app": { "bar": "1.0.0", "note": "\\"baz\\": 1" },',
+    '    "bar": "^1.0.0",',
+    '    "baz": "^2.0.0"',
+    '  }',
+    '}',
+  ].join('\n'), ['foo@1.0.1', 'bar@1.0.1', 'baz@2.0.1']);
+
+  assert.deepEqual(danger.map((m) => [m.declaredIn, m.line]).sort(), [
+    ['dependencies.foo', 2],
+    ['overrides.bar', 5],
+    ['overrides.baz', 6],
+  ]);
+});
@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { startMockArtifactory } from './helpers/mockArtifactory.js';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+const SPECS = 'typo@1.0.0\nlib@1.0.0\n';
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'jfrog-scan-remediate-'));
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+// Run the CLI with piped stdin (so never a TTY): { code, stdout, stderr }
+const run = (args, input = '') => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [CLI, ...args], { env: { PATH: process.env.PATH, HOME: dir } });
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', (chunk) => { stdout += chunk; });
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+  child.on('error', reject);
+  child.on('close', (code) => resolve({ code, stdout, stderr }));
+  child.stdin.end(input);
+});
+
+const readJsonl = async (path) => (await readFile(path, 'utf8')).split('\n').filter(Boolean).map((line) => JSON.parse(line));
+const changes = (mock) => mock.requests.filter((r) => !r.startsWith('GET '));
+
+// Write a plan for the cached typo and lib tarballs with a dry run
+const dryRun = async (mock, name, action) => {
+  const files = { plan: join(dir, `${name}-plan.json`), auditLog: join(dir, `${name}-audit.jsonl`) };
+  const { code, stderr } = await run([
+    '--base-url', mock.baseUrl, '-r', 'npm-remote', '--format', 'json', '--max-retries', '0',
+    'remediate', '--dry-run', '--action', action, '--quarantine-repo', 'npm-quarantine',
+    '--plan', files.plan, '--audit-log', files.auditLog,
+  ], SPECS);
+  assert.equal(code, 0, stderr);
+  return files;
+};
+
+const apply = (mock, { plan, auditLog }, ...flags) => run([
+  '--base-url', mock.baseUrl, '-r', 'npm-remote', '--format', 'json', '--max-retries', '0',
+  'remediate', '--plan', plan, '--audit-log', auditLog, ...flags,
+]);
+
+test('a dry run writes the plan and audit entries and changes nothing', async () => {
+  const mock = await startMockArtifactory();
+  try {
+    const files = await dryRun(mock, 'dry-run', 'quarantine');
+
+    const plan = JSON.parse(await readFile(files.plan, 'utf8'));
+    assert.equal(plan.action, 'quarantine');
+    assert.equal(plan.quarantineRepo, 'npm-quarantine');
+    assert.equal(plan.baseUrl, mock.baseUrl);
+    assert.deepEqual(plan.artifacts.map((a) => [a.repository, a.path, a.sources]), [
+      ['npm-remote-cache', 'typo/-/typo-1.0.0.tgz', ['stdin']],
+      ['npm-remote-cache', 'lib/-/lib-1.0.0.tgz', ['stdin']],
+    ]);
+    assert.deepEqual((await readJsonl(files.auditLog)).map((e) => [e.event, e.path]), [
+      ['planned', 'typo/-/typo-1.0.0.tgz'],
+      ['planned', 'lib/-/lib-1.0.0.tgz'],
+    ]);
+    assert.deepEqual(changes(mock), []);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('applying refuses without a terminal or --yes', async () => {
+  const mock = await startMockArtifactory();
+  try {
+    const files = await dryRun(mock, 'refuse', 'tag');
+    const { code, stderr } = await apply(mock, files);
+
+    assert.equal(code, 2);
+    assert.match(stderr, /Confirmation needed: run remediate in a terminal, or pass --yes/);
+    assert.deepEqual(changes(mock), []);
+    assert.ok((await readJsonl(files.auditLog)).every((e) => e.event === 'planned'));
+  } finally {
+    await mock.close();
+  }
+});
+
+test('applying with --yes tags each tarball and logs every step', async () => {
+  const mock = await startMockArtifactory();
+  try {
+    const files = await dryRun(mock, 'apply', 'tag');
+    const { code, stdout, stderr } = await apply(mock, files, '--yes');
+
+    assert.equal(code, 0, stderr);
+    assert.deepEqual(JSON.parse(stdout).map((o) => [o.artifact.path, o.ok]), [['typo/-/typo-1.0.0.tgz', true], ['lib/-/lib-1.0.0.tgz', true]]);
+    assert.deepEqual(changes(mock), [
+      'PUT /api/storage/npm-remote-cache/typo/-/typo-1.0.0.tgz',
+      'PUT /api/storage/npm-remote-cache/lib/-/lib-1.0.0.tgz',
+    ]);
+    const applied = (await readJsonl(files.auditLog)).filter((e) => e.event !== 'planned');
+    assert.deepEqual(applied.map((e) => [e.event, e.path, e.ok]), [
+      ['apply', undefined, undefined],
+      ['set-properties', 'typo/-/typo-1.0.0.tgz', true],
+      ['set-properties', 'lib/-/lib-1.0.0.tgz', true],
+    ]);
+    assert.equal(applied[0].confirmedBy, '--yes');
+  } finally {
+    await mock.close();
+  }
+});
+
+test('a move failing midway is reported as failed and kept in the audit log', async () => {
+  const mock = await startMockArtifactory({ failMoves: ['lib/-/lib-1.0.0.tgz'] });
+  try {
+    const files = await dryRun(mock, 'fail', 'quarantine');
+    const { code, stdout } = await apply(mock, files, '--yes');
+
+    assert.equal(code, 2);
+    const outcomes = JSON.parse(stdout);
+    assert.deepEqual(outcomes.map((o) => [o.artifact.path, o.ok]), [['typo/-/typo-1.0.0.tgz', true], ['lib/-/lib-1.0.0.tgz', false]]);
+    assert.match(outcomes[1].error, /^move: Failed to move lib\/-\/lib-1\.0\.0\.tgz/);
+
+    const applied = (await readJsonl(files.auditLog)).filter((e) => e.event !== 'planned' && e.event !== 'apply');
+    assert.deepEqual(applied.map((e) => [e.event, e.path, e.ok]), [
+      ['set-properties', 'typo/-/typo-1.0.0.tgz', true],
+      ['move', 'typo/-/typo-1.0.0.tgz', true],
+      ['set-properties', 'lib/-/lib-1.0.0.tgz', true],
+      ['move', 'lib/-/lib-1.0.0.tgz', false],
+    ]);
+    assert.match(applied[3].error, /target repository rejects npm packages/);
+    assert.equal(applied[3].target, 'npm-quarantine');
+  } finally {
+    await mock.close();
+  }
+});
@@ -0,0 +1,30 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ManifestScanner, buildCompromisedMap } from '../src/manifestScanner.js';
+import { toSarif } from '../src/sarif.js';
+
+const DOCKERFILE = [
+  'FROM node:20',
+  'RUN ["npm", "i", "evil@1.0.1"]',
+  'COPY . .',
+  'RUN ["npm", "i", "evil@1.0.1"]',
+  'RUN npx evil',
+  'RUN npx evil',
+].join('\n');
+
+test('each invocation in a Dockerfile is its own SARIF result', async () => {
+  const scanner = new ManifestScanner();
+  scanner.getFileContent = async () => DOCKERFILE;
+  const result = await scanner.scanEntryPoint('web', 'main', 'Dockerfile', buildCompromisedMap(['evil@1.0.1']));
+
+  assert.deepEqual(result.critical.map((m) => m.line), [2, 4]);
+  assert.deepEqual(result.danger.map((m) => m.line), [5, 6]);
+
+  const sarif = toSarif([{ ...result, platform: 'github', owner: 'acme' }]);
+  const results = sarif.runs[0].results;
+  assert.deepEqual(
+    results.map((r) => [r.ruleId, r.locations[0].physicalLocation.region.startLine]),
+    [['compromised-lockfile-pin', 2], ['compromised-lockfile-pin', 4], ['compromised-semver-range', 5], ['compromised-semver-range', 6]],
+  );
+  assert.equal(new Set(results.map((r) => r.partialFingerprints['jfrogScanFinding/v1'])).size, 4);
+});